@@ -4,6 +4,14 @@ module.exports = {
     'node': true
   },
   'extends': 'eslint:recommended',
+  'overrides': [
+    {
+      'files': [ 'test/**/*.js' ],
+      'env': {
+        'mocha': true
+      }
+    }
+  ],
   'parserOptions': {
     'ecmaVersion': 6
   },
@@ -0,0 +1,56 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Flash application for MCP-CAN-Boot, a CAN bus bootloader for
+ * AVR microcontrollers attached to an MCP2515 CAN controller.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { FlashApp, flash } = require('./lib/flash-app');
+const { EXIT_CODES, FlashAppError } = require('./lib/errors');
+const { flashMany } = require('./lib/batch');
+const { loadManifest } = require('./lib/manifest');
+const { loadConfig, resolveProfile } = require('./lib/config');
+const { formatFromFilename, formatMemMap, loadImage } = require('./lib/formats');
+const { compareMemMaps } = require('./lib/verify');
+const { BusScanner, scan } = require('./lib/scanner');
+const { BootloaderSimulator } = require('./lib/simulator');
+const { SUPPORTED_VERSIONS, createProtocol, getCapabilities } = require('./lib/protocol');
+const { CanTrace, decodeFrame, parseCandumpLine } = require('./lib/trace');
+const { DeviceDatabase, getDefaultDatabase, loadDeviceInfo } = require('./lib/devices');
+const { CanTransport, SocketCanTransport, VirtualCanBus, VirtualCanTransport } = require('./lib/transports');
+const constants = require('./lib/constants');
+
+module.exports = {
+  FlashApp,
+  FlashAppError,
+  EXIT_CODES,
+  flash,
+  flashMany,
+  loadManifest,
+  loadConfig,
+  resolveProfile,
+  formatFromFilename,
+  formatMemMap,
+  loadImage,
+  compareMemMaps,
+  BusScanner,
+  scan,
+  BootloaderSimulator,
+  SUPPORTED_VERSIONS,
+  createProtocol,
+  getCapabilities,
+  CanTrace,
+  decodeFrame,
+  parseCandumpLine,
+  DeviceDatabase,
+  getDefaultDatabase,
+  loadDeviceInfo,
+  CanTransport,
+  SocketCanTransport,
+  VirtualCanBus,
+  VirtualCanTransport,
+  constants,
+};
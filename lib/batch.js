@@ -0,0 +1,84 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { FlashApp } = require('./flash-app');
+const { BATCH_SESSION_TIMEOUT_DEFAULT } = require('./constants');
+const { EXIT_CODES } = require('./errors');
+
+/**
+ * Flash multiple nodes one after another or concurrently.
+ *
+ * In concurrent mode, nodes with different MCU IDs are flashed at the same time.
+ * Nodes with the same MCU ID (and CAN-ID) are always flashed one after another.
+ *
+ * @param {Object[]} nodes Options for the `FlashApp` of each node
+ * @param {Object} [options]
+ * @param {boolean} [options.concurrent] Flash nodes with different MCU IDs concurrently
+ * @param {boolean} [options.stopOnError] Do not flash further nodes after a node failed
+ * @param {number} [options.sessionTimeout=60000] Time (ms) to wait for the bootloader start message of nodes
+ *   without an own `sessionTimeout`, 0 to wait forever
+ * @param {Function} [options.onNode] Called with (node, app, index) for each created `FlashApp` before it is run
+ * @returns {Promise<Object[]>} Resolves with the result of each node in the order of the given nodes.
+ *   Each result contains the `node`, `success`, `skipped`, `duration`, and on failure the `error` and its `exitCode`.
+ */
+function flashMany (nodes, options) {
+  options = options || {};
+  const sessionTimeout = (typeof options.sessionTimeout === 'number') ? options.sessionTimeout : BATCH_SESSION_TIMEOUT_DEFAULT;
+
+  const results = new Array(nodes.length);
+  let stopped = false;
+
+  const flashNode = (idx) => {
+    const node = nodes[idx];
+    const startTs = Date.now();
+
+    if (stopped) {
+      results[idx] = { node: node, success: false, skipped: true, duration: 0, error: null, exitCode: null };
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const app = new FlashApp(Object.assign({ sessionTimeout: sessionTimeout }, node));
+      if (options.onNode) {
+        options.onNode(node, app, idx);
+      }
+      resolve(app.run());
+    })
+      .then((result) => {
+        results[idx] = { node: node, success: true, skipped: false, duration: result.duration, error: null, exitCode: 0 };
+      })
+      .catch((err) => {
+        results[idx] = { node: node, success: false, skipped: false, duration: Date.now() - startTs, error: err, exitCode: err.exitCode || EXIT_CODES.ERROR };
+        if (options.stopOnError) {
+          stopped = true;
+        }
+      });
+  };
+
+  // group the nodes which must be flashed one after another
+  const groups = [];
+  if (options.concurrent) {
+    const groupMap = new Map();
+    nodes.forEach((node, idx) => {
+      const key = `${node.iface}|${node.canIdMcu}|${node.mcuId}`;
+      if (!groupMap.has(key)) {
+        groupMap.set(key, []);
+        groups.push(groupMap.get(key));
+      }
+      groupMap.get(key).push(idx);
+    });
+  } else {
+    groups.push(nodes.map((node, idx) => idx));
+  }
+
+  return Promise.all(groups.map((group) => group.reduce((p, idx) => p.then(() => flashNode(idx)), Promise.resolve())))
+    .then(() => results);
+}
+
+module.exports = {
+  flashMany,
+};
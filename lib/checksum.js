@@ -0,0 +1,103 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Checksums of firmware images and flash contents.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const crypto = require('crypto');
+
+const { FlashAppError } = require('./errors');
+const { memMapBounds } = require('./formats');
+const { hexString } = require('./utils');
+
+// size of the patched checksum: 4 bytes length + 4 bytes CRC32
+const CHECKSUM_PATCH_SIZE = 8;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC32 (IEEE 802.3, like zlib) of the given data.
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32 (data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compute the CRC32 and SHA-256 over the data of a memory map.
+ *
+ * The checksums are computed over the range from the lowest to the highest
+ * address (or the given range) with gaps filled with 0xFF, so the checksums of
+ * an image and of the flash read back from the same range are equal.
+ *
+ * @param {MemoryMap} memMap
+ * @param {{ start: number, end: number }} [range] Range to use with exclusive end, defaults to the bounds of the memory map
+ * @returns {{ start: number, end: number, length: number, crc32: string, sha256: string }}
+ */
+function computeChecksums (memMap, range) {
+  range = range || memMapBounds(memMap);
+  const data = memMap.slicePad(range.start, range.end - range.start, 0xFF);
+  return {
+    start: range.start,
+    end: range.end,
+    length: range.end - range.start,
+    crc32: hexString(crc32(data), 8),
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+  };
+}
+
+/**
+ * Patch the length and the CRC32 of an image into the image itself, so the
+ * application is able to check its integrity at boot.
+ *
+ * At the given address 8 bytes are written: The length (uint32, little endian)
+ * and the CRC32 (uint32, little endian) of the image from its lowest address up
+ * to the patch address (exclusive). Gaps are counted as 0xFF.
+ *
+ * @param {MemoryMap} memMap The image, modified in place
+ * @param {number} address Address to write the length and CRC32 to
+ * @returns {{ start: number, length: number, crc32: number }}
+ * @throws {FlashAppError} If the image contains data at or behind the patch address
+ */
+function patchChecksum (memMap, address) {
+  const bounds = memMapBounds(memMap);
+  if (bounds.end > address) {
+    throw new FlashAppError(`Cannot patch the checksum at ${hexString(address, 4)}: The image contains data up to ${hexString(bounds.end - 1, 4)}`);
+  }
+
+  const length = address - bounds.start;
+  const crc = crc32(memMap.slicePad(bounds.start, length, 0xFF));
+
+  const patch = Buffer.alloc(CHECKSUM_PATCH_SIZE);
+  patch.writeUInt32LE(length, 0);
+  patch.writeUInt32LE(crc, 4);
+  memMap.set(address, Uint8Array.from(patch));
+
+  return { start: bounds.start, length: length, crc32: crc };
+}
+
+module.exports = {
+  CHECKSUM_PATCH_SIZE,
+  computeChecksums,
+  crc32,
+  patchChecksum,
+};
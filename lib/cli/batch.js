@@ -0,0 +1,131 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const path = require('path');
+
+const { flashMany } = require('../batch');
+const { BATCH_SESSION_TIMEOUT_DEFAULT } = require('../constants');
+const { loadManifest } = require('../manifest');
+const { hexString } = require('../utils');
+const { attachConsoleOutput, exitWithError, printJsonEvent, printTable } = require('./common');
+
+exports.command = 'batch <manifest>';
+
+exports.describe = 'Flash multiple MCUs as described in a manifest file (JSON or YAML)';
+
+exports.builder = (yargs) => yargs
+  .positional('manifest', {
+    description: 'Manifest file',
+    type: 'string'
+  })
+
+  .option('concurrent', {
+    description: 'Flash MCUs with different MCU IDs concurrently',
+    type: 'boolean'
+  })
+
+  .option('stop-on-error', {
+    description: 'Do not flash further MCUs after one failed',
+    type: 'boolean'
+  })
+
+  .option('session-timeout', {
+    description: 'Time (ms) to wait for the bootloader start message of each MCU without a sessionTimeout in the manifest, 0 to wait forever',
+    type: 'number',
+    default: BATCH_SESSION_TIMEOUT_DEFAULT,
+    requiresArg: true
+  })
+
+  .option('json', {
+    description: 'Print a newline-delimited JSON event per MCU instead of the summary table',
+    type: 'boolean'
+  })
+
+  .example('$0 batch fleet.yaml')
+  .example('$0 batch fleet.json --concurrent');
+
+exports.handler = (args) => {
+  let manifest;
+  try {
+    manifest = loadManifest(args.manifest);
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+
+  // options from the CLI are used as defaults for all nodes
+  const nodes = manifest.nodes.map((node) => Object.assign({
+    iface: args.iface,
+    canIdMcu: args.canIdMcu,
+    canIdRemote: args.canIdRemote,
+    sff: !!args.sff,
+    devices: args.devices,
+  }, node));
+
+  const concurrent = args.concurrent || manifest.concurrent;
+
+  flashMany(nodes, {
+    concurrent: concurrent,
+    stopOnError: args.stopOnError,
+    sessionTimeout: args.sessionTimeout,
+    onNode: (node, app) => {
+      const prefix = `[${hexString(node.mcuId, 4)}]`;
+      if (args.json) {
+        app.on('log', (level, message) => {
+          if (level === 'verbose' && !args.verbose) return;
+          printJsonEvent('log', { mcuId: hexString(node.mcuId, 4), level: level, message: message });
+        });
+      } else if (concurrent) {
+        // no progress bars when flashing concurrently, just prefixed log messages
+        app.on('log', (level, message) => {
+          if (level === 'verbose' && !args.verbose) return;
+          (level === 'warn' || level === 'error' ? console.warn : console.log)(`${prefix} ${message}`);
+        });
+      } else {
+        console.log(`${prefix} Flashing ${path.basename(node.file)} ...`);
+        attachConsoleOutput(app, args);
+      }
+    },
+  })
+    .then((results) => {
+      const failed = results.find((r) => !r.success && !r.skipped);
+
+      if (args.json) {
+        for (const r of results) {
+          printJsonEvent('node', {
+            mcuId: hexString(r.node.mcuId, 4),
+            partno: r.node.partno || null,
+            file: r.node.file,
+            success: r.success,
+            skipped: r.skipped,
+            duration: r.duration,
+            exitCode: r.exitCode,
+            message: r.error ? r.error.message : null,
+          });
+        }
+        printJsonEvent('done', {
+          nodes: results.length,
+          failed: results.filter((r) => !r.success && !r.skipped).length,
+          skipped: results.filter((r) => r.skipped).length,
+        });
+        process.exit(failed ? failed.exitCode : 0);
+      }
+
+      console.log();
+      printTable(
+        [ 'MCU ID', 'Part no', 'File', 'Result', 'Duration' ],
+        results.map((r) => [
+          hexString(r.node.mcuId, 4),
+          r.node.partno || 'auto',
+          path.basename(r.node.file),
+          r.success ? 'OK' : (r.skipped ? 'skipped' : `FAILED (${r.exitCode}): ${r.error.message}`),
+          r.skipped ? '' : `${r.duration} ms`,
+        ])
+      );
+
+      process.exit(failed ? failed.exitCode : 0);
+    });
+};
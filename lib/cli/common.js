@@ -0,0 +1,454 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+const cliProgress = require('cli-progress');
+
+const { RESPONSE_TIMEOUT_DEFAULT, RETRIES_DEFAULT } = require('../constants');
+const { EXIT_CODES } = require('../errors');
+const { loadImage } = require('../formats');
+const { loadResetFile } = require('../reset');
+const { CanTrace } = require('../trace');
+const { hexString, parseNumber, signatureString } = require('../utils');
+
+// start of the CLI process, used for the timing of the JSON events
+const START_TS = Date.now();
+
+// minimum progress change (percent) between two JSON progress events
+const JSON_PROGRESS_STEP = 5;
+
+// bus and node settings always shown by --print-config
+const PRINT_CONFIG_KEYS = [ 'iface', 'canIdMcu', 'canIdRemote', 'sff', 'ping', 'reset' ];
+
+// settings shown as hex numbers by --print-config
+const PRINT_CONFIG_HEX_KEYS = [ 'canIdMcu', 'canIdRemote', 'mcuid' ];
+
+// options of the commands running a flash app session, added to a command using `yargs.options(SESSION_OPTIONS)`
+const SESSION_OPTIONS = {
+  'json': {
+    description: 'Print newline-delimited JSON events instead of human readable messages',
+    type: 'boolean'
+  },
+
+  'trace': {
+    description: 'Log all sent and received CAN frames in candump format to the given file and decoded to <file>.txt',
+    type: 'string',
+    requiresArg: true
+  },
+
+  'reset': {
+    alias: 'R',
+    description: 'CAN message to send on startup to reset the MCU (<can_id>#{hex_data}), multiple messages and delays (ms) may be given separated by spaces or commas',
+    type: 'string',
+    requiresArg: true,
+  },
+
+  'reset-file': {
+    description: 'File with the reset sequence, one CAN message or delay (ms) per line (instead of --reset)',
+    type: 'string',
+    requiresArg: true
+  },
+
+  'reset-repeat': {
+    description: 'Send the reset sequence again in the given interval (ms) until the bootloader starts',
+    type: 'number',
+    requiresArg: true
+  },
+
+  'reset-ack': {
+    description: 'CAN message the app acknowledges the reset with (<can_id>#{hex_data}, data optional), the reset is sent again if it is not received within the timeout',
+    type: 'string',
+    requiresArg: true
+  },
+
+  'ping': {
+    description: 'Send a ping in the given interval (ms) to keep the bus active (should be used if the bootloader uses bitrate detection)',
+    type: 'number'
+  },
+
+  'timeout': {
+    description: 'Time (ms) to wait for a response of the MCU before the request is sent again',
+    type: 'number',
+    default: RESPONSE_TIMEOUT_DEFAULT,
+    requiresArg: true
+  },
+
+  'retries': {
+    description: 'Number of times a request is sent again if the MCU does not respond',
+    type: 'number',
+    default: RETRIES_DEFAULT,
+    requiresArg: true
+  },
+
+  'session-timeout': {
+    description: 'Time (ms) to wait for the bootloader start message, 0 to wait forever',
+    type: 'number',
+    default: 0,
+    requiresArg: true
+  },
+};
+
+/**
+ * Print the `log` and progress events of a flash app or simulator to the console.
+ * @param {EventEmitter} emitter
+ * @param {Object} args Parsed CLI arguments
+ * @param {boolean} [useStderr] Print all messages to stderr (e.g. if stdout is used for data)
+ * @returns {{ stop: Function }} Handle to stop a running progress bar
+ */
+function attachConsoleOutput (emitter, args, useStderr) {
+  const info = useStderr ? console.error : console.log;
+
+  // create a new progress bar instance and use legacy theme
+  const progressBar = new cliProgress.SingleBar({}, cliProgress.Presets.legacy);
+  const doProgress = !args.verbose;
+
+  emitter.on('log', (level, message) => {
+    switch (level) {
+      case 'verbose':
+        if (args.verbose) {
+          info(message);
+        }
+        break;
+      case 'warn':
+        console.warn(message);
+        break;
+      case 'error':
+        console.error(message);
+        break;
+      default:
+        info(message);
+    }
+  });
+
+  emitter.on('progressStart', (total, startValue) => {
+    if (doProgress) {
+      progressBar.start(total, startValue);
+    }
+  });
+
+  emitter.on('progress', (incr) => {
+    if (doProgress) {
+      progressBar.increment(incr);
+    }
+  });
+
+  emitter.on('progressStop', () => {
+    if (doProgress) {
+      progressBar.stop();
+    }
+  });
+
+  return {
+    stop: () => progressBar.stop(),
+    info: info,
+    error: console.error,
+  };
+}
+
+/**
+ * Write a JSON event as a single line.
+ * @param {string} event Name of the event
+ * @param {Object} [data] Data of the event
+ * @param {boolean} [useStderr] Write to stderr instead of stdout
+ */
+function printJsonEvent (event, data, useStderr) {
+  const line = JSON.stringify(Object.assign({ time: Date.now() - START_TS, event: event }, data));
+  if (useStderr) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Print the events of a flash app as newline-delimited JSON.
+ *
+ * Every line is an object with the `time` (ms since start) and the `event` name:
+ * `log`, `state`, `waiting`, `bootloader-detected`, `progress`, `verify` and the
+ * final `done` or `error` written by the command.
+ *
+ * @param {EventEmitter} emitter
+ * @param {Object} args Parsed CLI arguments
+ * @param {boolean} [useStderr] Write all events to stderr (e.g. if stdout is used for data)
+ * @returns {{ stop: Function, info: Function, error: Function, event: Function }}
+ */
+function attachJsonOutput (emitter, args, useStderr) {
+  const event = (name, data) => printJsonEvent(name, data, useStderr);
+  let state = null;
+  let progress = null;
+
+  emitter.on('log', (level, message) => {
+    if (level !== 'verbose' || args.verbose) {
+      event('log', { level: level, message: message });
+    }
+  });
+
+  emitter.on('state', (newState) => {
+    state = newState;
+    event('state', { state: state });
+  });
+
+  emitter.on('waiting', (info) => event('waiting', { mcuId: hexString(info.mcuId, 4) }));
+
+  emitter.on('bootloader', (info) => event('bootloader-detected', {
+    signature: signatureString(info.signature),
+    version: info.version,
+    partno: info.device ? info.device.partno : null,
+    name: info.device ? info.device.name : null,
+    capabilities: info.capabilities,
+  }));
+
+  const emitProgress = () => {
+    progress.lastPercent = progress.total > 0 ? Math.floor(progress.done * 100 / progress.total) : 100;
+    event('progress', { state: state, done: progress.done, total: progress.total, percent: progress.lastPercent });
+  };
+
+  emitter.on('progressStart', (total, startValue) => {
+    progress = { total: total, done: startValue, lastPercent: -1 };
+    emitProgress();
+  });
+
+  emitter.on('progress', (incr) => {
+    if (!progress) return;
+    progress.done += incr;
+    if (progress.total > 0 && Math.floor(progress.done * 100 / progress.total) >= progress.lastPercent + JSON_PROGRESS_STEP) {
+      emitProgress();
+    }
+  });
+
+  emitter.on('progressStop', () => {
+    if (progress && progress.lastPercent !== Math.floor(progress.done * 100 / progress.total)) {
+      emitProgress();
+    }
+    progress = null;
+  });
+
+  emitter.on('verify', (report) => event('verify', report));
+
+  return {
+    stop: () => {},
+    info: (message) => event('log', { level: 'info', message: message }),
+    error: (message) => event('log', { level: 'error', message: message }),
+    event: event,
+  };
+}
+
+/**
+ * Print an error and exit the process.
+ * In JSON mode the error is printed as `error` event.
+ * @param {Object} args Parsed CLI arguments
+ * @param {string} message
+ * @param {number} [exitCode=1]
+ */
+function exitWithError (args, message, exitCode = EXIT_CODES.ERROR) {
+  if (args.json) {
+    printJsonEvent('error', { message: message, exitCode: exitCode });
+  } else {
+    console.error(message);
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Print a table with the given column headers and rows to the console.
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ */
+function printTable (headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => String(r[i]).length)));
+  const line = (cols) => cols.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(headers));
+  console.log(line(widths.map((w) => '-'.repeat(w))));
+  for (const row of rows) {
+    console.log(line(row));
+  }
+}
+
+/**
+ * Print the resolved configuration (config files, profile and command line arguments) to the console.
+ * @param {{ files: string[] }} config The loaded config files
+ * @param {string} [profile] Name of the used profile
+ * @param {Object} settings Settings of the config files with the profile applied
+ * @param {Object} args Parsed CLI arguments
+ */
+function printConfig (config, profile, settings, args) {
+  console.log(`Config files: ${config.files.length > 0 ? config.files.join(', ') : 'none'}`);
+  console.log(`Profile: ${profile || 'none'}`);
+  console.log('');
+
+  const toCamelCase = (key) => key.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+  const keys = PRINT_CONFIG_KEYS.slice();
+  for (const key of Object.keys(settings).map(toCamelCase)) {
+    if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+
+  printTable(
+    [ 'Option', 'Value' ],
+    keys.map((key) => {
+      const value = PRINT_CONFIG_HEX_KEYS.includes(key) ? parseNumber(args[key]) : args[key];
+      return [
+        '--' + key.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase()),
+        (typeof value === 'number' && PRINT_CONFIG_HEX_KEYS.includes(key)) ? hexString(value, 4) : (value === undefined ? '-' : String(value)),
+      ];
+    })
+  );
+}
+
+/**
+ * Print the known devices as a table to the console.
+ * @param {DeviceDatabase} devices
+ */
+function printDeviceTable (devices) {
+  printTable(
+    [ 'Part no', 'Name', 'Signature', 'Flash', 'Page', 'EEPROM', 'Aliases' ],
+    devices.getAll().map((d) => [
+      d.partno,
+      d.name,
+      d.signature.map((b) => hexString(b).substr(2)).join(' '),
+      d.flashSize,
+      d.pageSize,
+      d.eepromSize,
+      d.aliases.join(', '),
+    ])
+  );
+}
+
+/**
+ * Format the transfer statistics of a session for the console.
+ * @param {Object} stats The `stats` of the session result
+ * @param {number} duration Duration (ms) of the session
+ * @returns {string}
+ */
+function formatStats (stats, duration) {
+  return `Transferred ${stats.bytesWritten + stats.bytesRead} bytes in ${duration} ms (${stats.bytesPerSecond} bytes/s), ` +
+    `${stats.framesSent} frames sent, ${stats.framesReceived} received, ${stats.retransmits} retransmits, window ${stats.window}.`;
+}
+
+/**
+ * Load a firmware image file given on the command line.
+ * Exits the process if the file does not exist or cannot be parsed.
+ * @param {string} file
+ * @param {Object} args Parsed CLI arguments with optional `format` and `baseAddress`
+ * @returns {MemoryMap}
+ */
+function loadImageFile (file, args) {
+  if (!fs.existsSync(file)) {
+    exitWithError(args, `Input file ${file} does not exist!`, EXIT_CODES.IO_ERROR);
+  }
+  try {
+    return loadImage(fs.readFileSync(file), { format: args.format, baseAddress: args.baseAddress, filename: file });
+  } catch (err) {
+    exitWithError(args, `Failed to load input file ${file}: ${err.message}`, err.exitCode);
+  }
+}
+
+/**
+ * Get the options of a flash app session from the parsed CLI arguments of the `SESSION_OPTIONS`
+ * and the global bus and device options.
+ * @param {Object} args Parsed CLI arguments
+ * @returns {Object} Options for the `FlashApp`
+ */
+function sessionAppOptions (args) {
+  return {
+    mcuId: args.mcuid,
+    partno: args.partno,
+    devices: args.devices,
+    iface: args.iface,
+    reset: args.resetFile ? loadResetFile(args.resetFile) : args.reset,
+    resetRepeat: args.resetRepeat,
+    resetAck: args.resetAck,
+    canIdMcu: args.canIdMcu,
+    canIdRemote: args.canIdRemote,
+    sff: !!args.sff,
+    // get default time for ping, if ping is set but without a time
+    ping: (Object.prototype.hasOwnProperty.call(args, 'ping') && typeof args.ping !== 'number') ? true : args.ping,
+    timeout: args.timeout,
+    retries: args.retries,
+    sessionTimeout: args.sessionTimeout,
+  };
+}
+
+/**
+ * Open the CAN trace given by `--trace`.
+ * The candump log is written to the given file and the decoded view to the same file with `.txt` appended.
+ * Exits the process if the files cannot be opened.
+ * @param {Object} args Parsed CLI arguments
+ * @returns {CanTrace|undefined}
+ */
+function openTrace (args) {
+  if (!args.trace) return undefined;
+  try {
+    return new CanTrace(args.trace, {
+      iface: args.iface,
+      decodedFile: `${args.trace}.txt`,
+      canIdMcu: args.canIdMcu,
+      canIdRemote: args.canIdRemote,
+    });
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+}
+
+/**
+ * Run the session of a flash app with the CAN trace given by `--trace`.
+ * The trace is opened after the flash app checked its options, so no files are
+ * created for invalid options, and closed when the session ends.
+ * @param {FlashApp} app
+ * @param {Object} args Parsed CLI arguments
+ * @returns {Promise} The promise of `app.run()`
+ */
+function runWithTrace (app, args) {
+  const trace = openTrace(args);
+  if (!trace) {
+    return app.run();
+  }
+
+  app.options.trace = trace;
+  return app.run().then((result) => {
+    trace.close();
+    return result;
+  }, (err) => {
+    trace.close();
+    throw err;
+  });
+}
+
+/**
+ * Write a verify report as JSON file.
+ * @param {string} file
+ * @param {Object} info Additional info to add in front of the report (e.g. the file and MCU ID)
+ * @param {Object} report
+ * @param {Object} output Console or JSON output handle to print the messages
+ */
+function writeVerifyReport (file, info, report, output) {
+  const data = Object.assign({}, info, { date: new Date().toISOString() }, report);
+  try {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    output.info(`Verify report written to ${file}.`);
+  } catch (err) {
+    output.error(`ERROR: Failed to write the verify report to ${file}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  SESSION_OPTIONS,
+  attachConsoleOutput,
+  attachJsonOutput,
+  exitWithError,
+  formatStats,
+  loadImageFile,
+  printConfig,
+  printJsonEvent,
+  printDeviceTable,
+  printTable,
+  runWithTrace,
+  sessionAppOptions,
+  writeVerifyReport,
+};
@@ -0,0 +1,84 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+
+const { EXIT_CODES } = require('../errors');
+const { decodeFrame, formatDecodedLine, parseCandumpLine } = require('../trace');
+const { parseNumber } = require('../utils');
+const { exitWithError } = require('./common');
+
+exports.command = 'decode';
+
+exports.describe = 'Decode a candump log of a bootloader session (e.g. written by --trace)';
+
+exports.builder = (yargs) => yargs
+  .option('file', {
+    alias: 'f',
+    description: 'candump log file (candump -L or the default candump output), - for stdin',
+    type: 'string',
+    demandOption: true,
+    requiresArg: true
+  })
+
+  .option('mcuid', {
+    alias: 'm',
+    description: 'Only show the frames of the given MCU ID',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('all', {
+    alias: 'a',
+    description: 'Also show frames not belonging to a bootloader session',
+    type: 'boolean'
+  })
+
+  .example('$0 decode -f session.log')
+  .example('candump -L can0 | $0 decode -f - -m 0x0042');
+
+exports.handler = (args) => {
+  let content;
+  try {
+    content = fs.readFileSync(args.file === '-' ? 0 : args.file, 'utf8');
+  } catch (err) {
+    exitWithError(args, `Failed to read ${args.file}: ${err.message}`, EXIT_CODES.IO_ERROR);
+  }
+
+  const options = { canIdMcu: args.canIdMcu, canIdRemote: args.canIdRemote };
+  let startTs = null;
+  let decoded = 0;
+  let skipped = 0;
+  let invalid = 0;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim() === '') continue;
+
+    const entry = parseCandumpLine(line);
+    if (!entry) {
+      invalid++;
+      continue;
+    }
+
+    const frame = decodeFrame(entry.msg, options);
+    if ((!frame && !args.all) || (frame && args.mcuid !== undefined && frame.mcuId !== args.mcuid)) {
+      skipped++;
+      continue;
+    }
+
+    if (startTs === null && entry.ts !== null) {
+      startTs = entry.ts;
+    }
+    console.log(formatDecodedLine(entry.msg, entry.ts !== null ? entry.ts - startTs : null, options, entry.direction));
+    if (frame) {
+      decoded++;
+    }
+  }
+
+  console.log(`\n${decoded} bootloader frames decoded, ${skipped} frames skipped, ${invalid} lines not parsed.`);
+};
@@ -0,0 +1,363 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+
+const { FlashApp } = require('../flash-app');
+const { EXIT_CODES, FlashAppError } = require('../errors');
+const {
+  DATA_ERROR_RETRIES_DEFAULT,
+  PIPELINE_WINDOW_MAX,
+  VERIFY_FAIL_START_APP,
+  VERIFY_FAIL_STAY,
+  VERIFY_FAIL_REFLASH,
+} = require('../constants');
+const { FORMATS, FORMAT_HEX, OUTPUT_FORMATS, formatFromFilename, formatMemMap } = require('../formats');
+const { hexString, parseNumber } = require('../utils');
+const {
+  SESSION_OPTIONS,
+  attachConsoleOutput,
+  attachJsonOutput,
+  exitWithError,
+  formatStats,
+  loadImageFile,
+  runWithTrace,
+  sessionAppOptions,
+  writeVerifyReport,
+} = require('./common');
+
+/**
+ * Parse an address range given as `start:end` with inclusive end.
+ */
+function parseReadRange (val) {
+  const parts = String(val).split(':');
+  const start = parseNumber(parts[0]);
+  const end = parseNumber(parts[1] || '');
+  if (parts.length !== 2 || isNaN(start) || isNaN(end) || start < 0 || end < start) {
+    throw new Error(`Invalid read range ${val}, the format must be start:end with end >= start`);
+  }
+  return { start: start, end: end };
+}
+
+exports.command = '$0';
+
+exports.describe = 'Flash (or read) the MCU';
+
+exports.builder = (yargs) => yargs
+  .option('file', {
+    alias: 'f',
+    description: 'Firmware image to flash (Intel HEX, raw binary, S-record or ELF) or file to save the read flash to (optional with --eeprom-read or --eeprom-write)',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('partno', {
+    alias: 'p',
+    description: 'Specific AVR device like in avrdude, auto to detect it by the signature',
+    type: 'string',
+    default: 'auto',
+    requiresArg: true
+  })
+
+  .option('mcuid', {
+    alias: 'm',
+    description: 'ID of the MCU bootloader',
+    type: 'string',
+    demandOption: true,
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('e', {
+    description: 'Erase whole flash before flashing new data',
+    type: 'boolean'
+  })
+
+  .option('skip-erased', {
+    description: 'Skip pages containing only 0xFF when flashing after erasing (-e) or remove them from the read flash',
+    type: 'boolean'
+  })
+
+  .option('V', {
+    description: 'Do not verify',
+    type: 'boolean'
+  })
+
+  .option('full-verify', {
+    description: 'Verify the whole image and report all mismatching ranges instead of aborting at the first mismatch',
+    type: 'boolean'
+  })
+
+  .option('verify-report', {
+    description: 'Write the report of the full verify as JSON to the given file (implies --full-verify)',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('on-verify-fail', {
+    description: 'What to do if the full verify failed: start the app, stay in the bootloader or flash the failing ranges again once',
+    type: 'string',
+    choices: [ VERIFY_FAIL_START_APP, VERIFY_FAIL_STAY, VERIFY_FAIL_REFLASH ],
+    default: VERIFY_FAIL_START_APP,
+    requiresArg: true
+  })
+
+  .option('r', {
+    description: 'Read flash and save to given file (no flashing!), optional with maximum address to read until',
+    type: 'string',
+    coerce: parseNumber
+  })
+
+  .option('read-range', {
+    description: 'Read only the given address range start:end (inclusive end, implies -r), may be given multiple times',
+    type: 'string',
+    array: true,
+    requiresArg: true,
+    coerce: (vals) => vals.map(parseReadRange)
+  })
+
+  .option('read-bootloader', {
+    description: 'Also try to read the bootloader section behind the program space (implies -r, only the bootloader section without -r or --read-range)',
+    type: 'boolean'
+  })
+
+  .option('eeprom-read', {
+    description: 'Read the whole EEPROM and save it to the given file (Intel HEX, raw binary or S-record by the file extension, default Intel HEX)',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('eeprom-write', {
+    description: 'Write the given file (Intel HEX, raw binary or S-record) into the EEPROM before flashing, the EEPROM is verified unless -V is given',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('format', {
+    description: 'File format (elf only for flashing), default by the content or file extension (hex if unknown when reading)',
+    type: 'string',
+    choices: FORMATS,
+    requiresArg: true
+  })
+
+  .option('base-address', {
+    description: 'Start address of a raw binary image to flash',
+    type: 'string',
+    default: '0x0000',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('F', {
+    description: 'Force flashing, even if the bootloader command version is not supported',
+    type: 'boolean'
+  })
+
+  .option('checksum', {
+    description: 'Print the CRC32 and SHA-256 of the image and of the read back flash',
+    type: 'boolean'
+  })
+
+  .option('patch-checksum', {
+    description: 'Patch the length and CRC32 of the image into the image at the given address before flashing',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('incremental', {
+    description: 'Read back the flash first and only write the pages which changed (not together with -e)',
+    type: 'boolean'
+  })
+
+  .option('preflight', {
+    description: 'Check the image against the program space reported by the bootloader before flashing (disable with --no-preflight)',
+    type: 'boolean',
+    default: true
+  })
+
+  .option('data-error-retries', {
+    description: 'Number of times a chunk is sent again if the MCU reports a flash data error',
+    type: 'number',
+    default: DATA_ERROR_RETRIES_DEFAULT,
+    requiresArg: true
+  })
+
+  .option('window', {
+    description: `Number of flash data frames in flight (pipelined transfer with up to ${PIPELINE_WINDOW_MAX} frames, needs the proposed bootloader command version 0x03)`,
+    type: 'number',
+    default: 1,
+    requiresArg: true
+  })
+
+  .options(SESSION_OPTIONS)
+
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --reset 020040FF#4201FA')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --reset "020040FF#4201FA 100 020040FF#4202" --reset-ack 020040FE#42')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --reset 020040FF#4201FA --reset-repeat 500')
+  .example('$0 -f firmware.elf -p m1284p -m 0x0042')
+  .example('$0 -f firmware.hex -p m2560 -m 0x0042 --incremental')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --checksum --patch-checksum 0x1DFF8')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --verify-report verify.json --on-verify-fail reflash')
+  .example('$0 -f firmware.bin --base-address 0x0000 -p m1284p -m 0x0042')
+  .example('$0 -f firmware.hex -m 0x0042 --json')
+  .example('$0 -f firmware.hex -m 0x0042 --trace session.log')
+  .example('$0 -f firmware.hex -p m1284p -m 0x0042 --window 8')
+  .example('$0 -r -f - -p m328p -m 0x0042')
+  .example('$0 -r -f - --format bin -p m328p -m 0x0042 > flash.bin')
+  .example('$0 -r -f flash.hex --skip-erased -p m1284p -m 0x0042')
+  .example('$0 -f firmware.hex -e --skip-erased -p m1284p -m 0x0042')
+  .example('$0 -f eeprom-emu.hex --read-range 0x6000:0x60FF --read-range 0x6800:0x68FF -p m328p -m 0x0042')
+  .example('$0 -f bootloader.hex --read-bootloader -p m328p -m 0x0042')
+  .example('$0 --eeprom-read eeprom.hex -p m328p -m 0x0042')
+  .example('$0 -f firmware.hex --eeprom-write eeprom.bin -p m328p -m 0x0042')
+  .example('$0 -f firmware.hex -m 0x0042');
+
+exports.handler = (args) => {
+  const doRead = (args.r !== undefined) || !!args.readRange || !!args.readBootloader;
+  const doEeprom = !!args.eepromRead || !!args.eepromWrite;
+  const toStdout = doRead && args.file === '-';
+
+  if (!args.file && (doRead || !doEeprom)) {
+    exitWithError(args, 'Missing required argument: file');
+  }
+
+  if (args.format && !(doRead ? OUTPUT_FORMATS : FORMATS).includes(args.format)) {
+    exitWithError(args, `The file format ${args.format} is not supported for ${doRead ? 'reading' : 'flashing'}!`);
+  }
+  if (args.baseAddress === undefined || isNaN(args.baseAddress) || args.baseAddress < 0) {
+    exitWithError(args, 'The base address must be a positive number!');
+  }
+  if (args.patchChecksum !== undefined && (isNaN(args.patchChecksum) || args.patchChecksum < 0)) {
+    exitWithError(args, 'The address to patch the checksum at must be a positive number!');
+  }
+
+  let hex;
+  if (!doRead && args.file) {
+    // load from file if we are not only reading the flash
+    hex = loadImageFile(args.file, args);
+
+  } else if (doRead && args.file !== '-' && fs.existsSync(args.file)) {
+    // check if output file exists
+    exitWithError(args, `Output file ${args.file} already exists!`, EXIT_CODES.IO_ERROR);
+  }
+
+  if (args.eepromRead && !OUTPUT_FORMATS.includes(formatFromFilename(args.eepromRead) || FORMAT_HEX)) {
+    exitWithError(args, `The file format ${formatFromFilename(args.eepromRead)} is not supported for reading the EEPROM!`);
+  }
+  if (args.eepromRead && fs.existsSync(args.eepromRead)) {
+    exitWithError(args, `Output file ${args.eepromRead} already exists!`, EXIT_CODES.IO_ERROR);
+  }
+  // the format and base address options only apply to the firmware image
+  const eepromWrite = args.eepromWrite ? loadImageFile(args.eepromWrite, Object.assign({}, args, { format: undefined, baseAddress: 0 })) : undefined;
+
+  let app;
+  try {
+    app = new FlashApp(Object.assign(sessionAppOptions(args), {
+      hex: hex,
+      read: (args.r !== undefined) ? (args.r || true) : false,
+      readRanges: args.readRange,
+      readBootloader: !!args.readBootloader,
+      eepromRead: !!args.eepromRead,
+      eepromWrite: eepromWrite,
+      erase: !!args.e,
+      skipErased: !!args.skipErased,
+      verify: !args.V,
+      fullVerify: !!args.fullVerify || !!args.verifyReport,
+      onVerifyFail: args.onVerifyFail,
+      force: !!args.F,
+      incremental: !!args.incremental,
+      checksum: !!args.checksum,
+      patchChecksum: args.patchChecksum,
+      preflight: args.preflight,
+      dataErrorRetries: args.dataErrorRetries,
+      window: args.window,
+    }));
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+
+  // when writing the read data to stdout all messages go to stderr
+  const output = args.json ? attachJsonOutput(app, args, toStdout) : attachConsoleOutput(app, args, toStdout);
+  const reportInfo = () => ({ file: args.file, mcuId: hexString(args.mcuid, 4), partno: app.device ? app.device.partno : null });
+
+  runWithTrace(app, args)
+    .then((result) => {
+      if (!args.json) {
+        output.info(formatStats(result.stats, result.duration));
+      }
+
+      if (args.verifyReport && result.verify) {
+        writeVerifyReport(args.verifyReport, reportInfo(), result.verify, output);
+      }
+
+      let data = null;
+      if (result.memMap) {
+        const format = args.format || (toStdout ? null : formatFromFilename(args.file)) || FORMAT_HEX;
+        data = formatMemMap(result.memMap, format);
+
+        if (!toStdout) {
+          try {
+            fs.writeFileSync(args.file, data);
+          } catch (err) {
+            throw new FlashAppError(`Failed to write the output file ${args.file}: ${err.message}`, EXIT_CODES.IO_ERROR);
+          }
+          output.info(`${format === FORMAT_HEX ? 'Hex' : format.toUpperCase()} file written to ${args.file}.`);
+        }
+      }
+
+      if (result.eeprom) {
+        const format = formatFromFilename(args.eepromRead) || FORMAT_HEX;
+        try {
+          fs.writeFileSync(args.eepromRead, formatMemMap(result.eeprom, format));
+        } catch (err) {
+          throw new FlashAppError(`Failed to write the EEPROM file ${args.eepromRead}: ${err.message}`, EXIT_CODES.IO_ERROR);
+        }
+        output.info(`EEPROM written to ${args.eepromRead}.`);
+      }
+
+      if (args.json) {
+        output.event('done', {
+          duration: result.duration,
+          mcuId: hexString(args.mcuid, 4),
+          partno: result.device ? result.device.partno : null,
+          verify: result.verify,
+          incremental: result.incremental,
+          checksums: result.checksums,
+          stats: result.stats,
+        });
+      }
+
+      if (toStdout) {
+        // write to stdout and exit when all data is written
+        process.stdout.write(data, () => process.exit(0));
+        return;
+      }
+      process.exit(0);
+    })
+    .catch((err) => {
+      output.stop();
+      if (args.verifyReport && err.verifyReport) {
+        writeVerifyReport(args.verifyReport, reportInfo(), err.verifyReport, output);
+      }
+      const exitCode = err.exitCode || EXIT_CODES.ERROR;
+      if (args.json) {
+        output.event('error', {
+          message: err.message,
+          exitCode: exitCode,
+          duration: app.flashStartTs ? Date.now() - app.flashStartTs : 0,
+          mcuId: hexString(args.mcuid, 4),
+          partno: app.device ? app.device.partno : null,
+          verify: err.verifyReport || null,
+        });
+      } else {
+        console.error(`ERROR: ${err.message}`);
+      }
+      process.exit(exitCode);
+    });
+};
@@ -0,0 +1,96 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { capabilitiesString } = require('../protocol');
+const { BusScanner } = require('../scanner');
+const { hexString, signatureString } = require('../utils');
+const { attachConsoleOutput, exitWithError, printJsonEvent, printTable } = require('./common');
+
+exports.command = 'scan';
+
+exports.describe = 'Scan the bus for bootloaders waiting for a flash app';
+
+exports.builder = (yargs) => yargs
+  .option('duration', {
+    alias: 'd',
+    description: 'Time (ms) to listen for bootloader start messages',
+    type: 'number',
+    default: 5000,
+    requiresArg: true
+  })
+
+  .option('ping', {
+    description: 'Send a ping in the given interval (ms) to keep the bus active (should be used if the bootloaders use bitrate detection)',
+    type: 'number'
+  })
+
+  .option('json', {
+    description: 'Print newline-delimited JSON events instead of the table',
+    type: 'boolean'
+  })
+
+  .example('$0 scan -i can0 -d 10000')
+  .example('$0 scan --json');
+
+exports.handler = (args) => {
+  let scanner;
+  try {
+    scanner = new BusScanner({
+      duration: args.duration,
+      iface: args.iface,
+      canIdMcu: args.canIdMcu,
+      canIdRemote: args.canIdRemote,
+      sff: !!args.sff,
+      ping: (Object.prototype.hasOwnProperty.call(args, 'ping') && typeof args.ping !== 'number') ? true : args.ping,
+      devices: args.devices,
+    });
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+
+  if (!args.json) {
+    attachConsoleOutput(scanner, args);
+  }
+
+  scanner.run()
+    .then((found) => {
+      if (args.json) {
+        for (const entry of found) {
+          printJsonEvent('found', {
+            mcuId: hexString(entry.mcuId, 4),
+            signature: signatureString(entry.signature),
+            partno: entry.device ? entry.device.partno : null,
+            name: entry.device ? entry.device.name : null,
+            version: entry.version,
+            capabilities: entry.capabilities,
+            count: entry.count,
+          });
+        }
+        printJsonEvent('done', { found: found.length });
+
+      } else if (found.length === 0) {
+        console.log('No bootloaders found.');
+
+      } else {
+        printTable(
+          [ 'MCU ID', 'Signature', 'Part no', 'Name', 'Version', 'Capabilities' ],
+          found.map((entry) => [
+            hexString(entry.mcuId, 4),
+            entry.signature.map((b) => hexString(b).substr(2)).join(' '),
+            entry.device ? entry.device.partno : '?',
+            entry.device ? entry.device.name : 'unknown',
+            hexString(entry.version),
+            entry.capabilities ? capabilitiesString(entry.capabilities) : 'unsupported version',
+          ])
+        );
+      }
+      process.exit(0);
+    })
+    .catch((err) => {
+      exitWithError(args, err.message, err.exitCode);
+    });
+};
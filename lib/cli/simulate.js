@@ -0,0 +1,228 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { BootloaderSimulator } = require('../simulator');
+const { SocketCanTransport } = require('../transports');
+const { BOOTLOADER_CMD_VERSION, PIPELINE_WINDOW_MAX } = require('../constants');
+const { parseNumber } = require('../utils');
+const { attachConsoleOutput, exitWithError, loadImageFile } = require('./common');
+
+/**
+ * Parse a signature given as hex bytes like `1E950F` or `1E:95:0F`.
+ */
+function parseSignature (val) {
+  if (val === undefined) return val;
+  const bytes = val.replace(/[^0-9a-fA-F]/g, '').match(/../g);
+  if (!bytes || bytes.length !== 3) {
+    throw new Error(`Invalid signature ${val}, three hex bytes must be provided`);
+  }
+  return bytes.map((b) => parseInt(b, 16));
+}
+
+exports.command = 'simulate';
+
+exports.describe = 'Simulate a MCU running the bootloader on the CAN interface (e.g. a vcan interface)';
+
+exports.builder = (yargs) => yargs
+  .option('partno', {
+    alias: 'p',
+    description: 'Specific AVR device like in avrdude',
+    type: 'string',
+    demandOption: true,
+    requiresArg: true
+  })
+
+  .option('mcuid', {
+    alias: 'm',
+    description: 'ID of the simulated MCU',
+    type: 'string',
+    demandOption: true,
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('file', {
+    alias: 'f',
+    description: 'Firmware image (Intel HEX, raw binary starting at 0x0000 or ELF) with the initial flash content',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('bootloader-size', {
+    description: 'Size of the bootloader section in bytes',
+    type: 'string',
+    default: 4096,
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('flash-size', {
+    description: 'Flash size in bytes (default from partno)',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('eeprom-size', {
+    description: 'EEPROM size in bytes (default from partno), 0 to simulate a bootloader without EEPROM access',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('signature', {
+    description: 'Device signature as hex bytes (default from partno)',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseSignature
+  })
+
+  .option('cmd-version', {
+    description: 'Bootloader command version to report (0x02 and 0x03 are proposed extensions)',
+    type: 'string',
+    default: BOOTLOADER_CMD_VERSION,
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('start-interval', {
+    description: 'Interval (ms) to repeat the bootloader start message, 0 to send it once',
+    type: 'number',
+    default: 500,
+    requiresArg: true
+  })
+
+  .option('window', {
+    description: 'Maximum number of flash data frames in flight to accept (proposed command version 0x03)',
+    type: 'number',
+    default: PIPELINE_WINDOW_MAX,
+    requiresArg: true
+  })
+
+  .option('response-delay', {
+    description: 'Delay (ms) of each response, e.g. to simulate the latency of a bus',
+    type: 'number',
+    default: 0,
+    requiresArg: true
+  })
+
+  .option('restart-delay', {
+    description: 'Delay (ms) to restart the bootloader after the app was started, 0 to exit',
+    type: 'number',
+    default: 1000,
+    requiresArg: true
+  })
+
+  .option('drop-rx', {
+    description: 'Probability (0..1) to ignore a received frame',
+    type: 'number',
+    requiresArg: true
+  })
+
+  .option('drop-tx', {
+    description: 'Probability (0..1) to not send a response frame',
+    type: 'number',
+    requiresArg: true
+  })
+
+  .option('data-error-rate', {
+    description: 'Probability (0..1) to answer flash data with a data error',
+    type: 'number',
+    requiresArg: true
+  })
+
+  .option('address-error-at', {
+    description: 'Address from which on flash data is rejected with an address error',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('wrong-signature', {
+    description: 'Signature to report in the bootloader start message as hex bytes',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseSignature
+  })
+
+  .option('corrupt-at', {
+    description: 'Address of a flash byte which will be stored inverted',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .group(['drop-rx', 'drop-tx', 'data-error-rate', 'address-error-at', 'wrong-signature', 'corrupt-at'], 'Fault injection:')
+
+  .example('$0 simulate -i vcan0 -p m328p -m 0x0042')
+  .example('$0 simulate -i vcan0 -p m1284p -m 0x0042 --drop-rx 0.01 --corrupt-at 0x0100');
+
+exports.handler = (args) => {
+  let flash;
+  if (args.file) {
+    const memMap = loadImageFile(args.file, args);
+    let end = 0;
+    for (const [ addr, block ] of memMap) {
+      end = Math.max(end, addr + block.length);
+    }
+    flash = memMap.slicePad(0, end);
+  }
+
+  const transport = new SocketCanTransport(args.iface);
+  let sim;
+  try {
+    sim = new BootloaderSimulator({
+      transport: transport,
+      mcuId: args.mcuid,
+      partno: args.partno,
+      devices: args.devices,
+      signature: args.signature,
+      flashSize: args.flashSize,
+      eepromSize: args.eepromSize,
+      bootloaderSize: args.bootloaderSize,
+      version: args.cmdVersion,
+      canIdMcu: args.canIdMcu,
+      canIdRemote: args.canIdRemote,
+      sff: !!args.sff,
+      startInterval: args.startInterval,
+      window: args.window,
+      responseDelay: args.responseDelay,
+      flash: flash,
+      faults: {
+        dropRx: args.dropRx,
+        dropTx: args.dropTx,
+        dataErrorRate: args.dataErrorRate,
+        addressErrorAt: args.addressErrorAt,
+        wrongSignature: args.wrongSignature,
+        corruptAt: args.corruptAt,
+      },
+    });
+    transport.start();
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+
+  attachConsoleOutput(sim, args);
+
+  sim.on('appStarted', () => {
+    if (args.restartDelay > 0) {
+      setTimeout(() => sim.enterBootloader(), args.restartDelay);
+    } else {
+      sim.stop();
+      transport.stop();
+      process.exit(0);
+    }
+  });
+
+  process.on('SIGINT', () => {
+    sim.stop();
+    transport.stop();
+    process.exit(0);
+  });
+
+  sim.start();
+};
@@ -0,0 +1,173 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { FlashApp } = require('../flash-app');
+const { EXIT_CODES } = require('../errors');
+const { VERIFY_FAIL_START_APP, VERIFY_FAIL_STAY } = require('../constants');
+const { FORMATS } = require('../formats');
+const { hexString, parseNumber } = require('../utils');
+const { compareMemMaps, formatVerifyRange } = require('../verify');
+const {
+  SESSION_OPTIONS,
+  attachConsoleOutput,
+  attachJsonOutput,
+  exitWithError,
+  loadImageFile,
+  printJsonEvent,
+  runWithTrace,
+  sessionAppOptions,
+  writeVerifyReport,
+} = require('./common');
+
+exports.command = 'verify';
+
+exports.describe = 'Verify the flash of the MCU against an image without writing anything';
+
+exports.builder = (yargs) => yargs
+  .option('file', {
+    alias: 'f',
+    description: 'Firmware image or previously read flash dump to compare the flash with',
+    type: 'string',
+    demandOption: true,
+    requiresArg: true
+  })
+
+  .option('dump', {
+    description: 'Compare the image with this previously read flash dump instead of the MCU (no CAN communication)',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('format', {
+    description: 'File format of the image, default by the content or file extension',
+    type: 'string',
+    choices: FORMATS,
+    requiresArg: true
+  })
+
+  .option('base-address', {
+    description: 'Start address of a raw binary image',
+    type: 'string',
+    default: '0x0000',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('partno', {
+    alias: 'p',
+    description: 'Specific AVR device like in avrdude, auto to detect it by the signature',
+    type: 'string',
+    default: 'auto',
+    requiresArg: true
+  })
+
+  .option('mcuid', {
+    alias: 'm',
+    description: 'ID of the MCU bootloader (not needed with --dump)',
+    type: 'string',
+    requiresArg: true,
+    coerce: parseNumber
+  })
+
+  .option('report', {
+    description: 'Write the verify report as JSON to the given file',
+    type: 'string',
+    requiresArg: true
+  })
+
+  .option('stay', {
+    description: 'Stay in the bootloader if the flash does not match',
+    type: 'boolean'
+  })
+
+  .options(SESSION_OPTIONS)
+
+  .example('$0 verify -f firmware.hex -m 0x0042')
+  .example('$0 verify -f flash-backup.bin -p m328p -m 0x0042 --report verify.json')
+  .example('$0 verify -f firmware.hex --dump flash-backup.hex');
+
+exports.handler = (args) => {
+  if (args.baseAddress === undefined || isNaN(args.baseAddress) || args.baseAddress < 0) {
+    exitWithError(args, 'The base address must be a positive number!');
+  }
+
+  const image = loadImageFile(args.file, args);
+
+  if (args.dump) {
+    // compare with the dump file... the format of the dump is always detected by its content or extension
+    const dump = loadImageFile(args.dump, { baseAddress: 0, json: args.json });
+    const report = compareMemMaps(image, dump);
+    const output = args.json ? {
+      info: (message) => printJsonEvent('log', { level: 'info', message: message }),
+      error: (message) => printJsonEvent('log', { level: 'error', message: message }),
+    } : { info: console.log, error: console.error };
+
+    if (args.json) {
+      printJsonEvent('verify', report);
+    } else if (report.ok) {
+      console.log(`The dump ${args.dump} matches the image (${report.bytesChecked} bytes).`);
+    } else {
+      console.log(`The dump ${args.dump} does not match the image! ${report.bytesMismatched} of ${report.bytesChecked} bytes in ${report.ranges.length} ranges differ:`);
+      for (const r of report.ranges) {
+        console.log(`  ${formatVerifyRange(r)}`);
+      }
+    }
+    if (args.report) {
+      writeVerifyReport(args.report, { file: args.file, dump: args.dump }, report, output);
+    }
+    if (args.json) {
+      printJsonEvent(report.ok ? 'done' : 'error', report.ok ? { verify: report } : { message: 'The dump does not match the image', exitCode: EXIT_CODES.VERIFY_FAILED, verify: report });
+    }
+    process.exit(report.ok ? 0 : EXIT_CODES.VERIFY_FAILED);
+  }
+
+  if (typeof args.mcuid !== 'number' || isNaN(args.mcuid)) {
+    exitWithError(args, 'The MCU ID must be provided using -m if no dump is given!');
+  }
+
+  let app;
+  try {
+    app = new FlashApp(Object.assign(sessionAppOptions(args), {
+      hex: image,
+      verifyOnly: true,
+      onVerifyFail: args.stay ? VERIFY_FAIL_STAY : VERIFY_FAIL_START_APP,
+    }));
+  } catch (err) {
+    exitWithError(args, err.message, err.exitCode);
+  }
+
+  const output = args.json ? attachJsonOutput(app, args) : attachConsoleOutput(app, args);
+  const info = () => ({ file: args.file, mcuId: hexString(args.mcuid, 4), partno: app.device ? app.device.partno : null });
+
+  runWithTrace(app, args)
+    .then((result) => {
+      if (args.report) {
+        writeVerifyReport(args.report, info(), result.verify, output);
+      }
+      if (args.json) {
+        output.event('done', Object.assign({ duration: result.duration }, info(), { verify: result.verify }));
+      }
+      process.exit(0);
+    })
+    .catch((err) => {
+      output.stop();
+      if (args.report && err.verifyReport) {
+        writeVerifyReport(args.report, info(), err.verifyReport, output);
+      }
+      const exitCode = err.exitCode || EXIT_CODES.ERROR;
+      if (args.json) {
+        output.event('error', Object.assign({
+          message: err.message,
+          exitCode: exitCode,
+          duration: app.flashStartTs ? Date.now() - app.flashStartTs : 0,
+        }, info(), { verify: err.verifyReport || null }));
+      } else {
+        console.error(`ERROR: ${err.message}`);
+      }
+      process.exit(exitCode);
+    });
+};
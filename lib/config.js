@@ -0,0 +1,176 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Configuration files with named profiles of bus and node settings.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { FlashAppError } = require('./errors');
+const { stringDistance } = require('./utils');
+
+// names of the config files, searched in this order
+const CONFIG_FILE_NAMES = [ '.mcp-can-boot.json', '.mcp-can-boot.yml', '.mcp-can-boot.yaml' ];
+
+/**
+ * Find the config file in the given directory.
+ * @param {string} dir
+ * @returns {string|null}
+ */
+function findConfigFileInDir (dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the project-local config file in the given directory or the nearest parent directory.
+ * The home directory is skipped since it contains the user-level config file.
+ * @param {string} cwd
+ * @param {string} home
+ * @returns {string|null}
+ */
+function findProjectConfigFile (cwd, home) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    if (dir !== home) {
+      const file = findConfigFileInDir(dir);
+      if (file) {
+        return file;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load a single config file (JSON or YAML).
+ * @param {string} file
+ * @returns {{ settings: Object, profiles: Object }}
+ */
+function loadConfigFile (file) {
+  let content;
+  try {
+    const data = fs.readFileSync(file, 'utf8');
+    content = /\.ya?ml$/i.test(file) ? yaml.load(data) : JSON.parse(data);
+  } catch (err) {
+    throw new FlashAppError(`Failed to load config file ${file}: ${err.message}`);
+  }
+
+  if (content === null || content === undefined) {
+    content = {};
+  }
+  if (typeof content !== 'object' || Array.isArray(content)) {
+    throw new FlashAppError(`Invalid config file ${file}: The content must be an object`);
+  }
+
+  const settings = Object.assign({}, content);
+  const profiles = settings.profiles || {};
+  delete settings.profiles;
+
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new FlashAppError(`Invalid config file ${file}: The profiles must be an object`);
+  }
+  for (const name of Object.keys(profiles)) {
+    if (!profiles[name] || typeof profiles[name] !== 'object' || Array.isArray(profiles[name])) {
+      throw new FlashAppError(`Invalid config file ${file}: The profile ${name} must be an object`);
+    }
+  }
+
+  return { settings: settings, profiles: profiles };
+}
+
+/**
+ * Load the user-level and the project-local config files.
+ *
+ * The user-level config file is `~/.mcp-can-boot.json` (or `.yml`/`.yaml`).
+ * The project-local config file is searched in the current directory and its parents,
+ * or may be given explicitly. Settings of the project-local file override user-level settings,
+ * profiles with the same name are merged.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] Project config file to use instead of searching it
+ * @param {string} [options.cwd] Directory to start the search of the project config file
+ * @param {string} [options.home] Home directory containing the user-level config file
+ * @returns {{ files: string[], settings: Object, profiles: Object }}
+ */
+function loadConfig (options = {}) {
+  const home = path.resolve(options.home || os.homedir());
+  const files = [];
+
+  const userFile = findConfigFileInDir(home);
+  if (userFile) {
+    files.push(userFile);
+  }
+
+  let projectFile = null;
+  if (options.file) {
+    if (!fs.existsSync(options.file)) {
+      throw new FlashAppError(`Config file ${options.file} does not exist`);
+    }
+    projectFile = path.resolve(options.file);
+  } else {
+    projectFile = findProjectConfigFile(options.cwd || process.cwd(), home);
+  }
+  if (projectFile && projectFile !== userFile) {
+    files.push(projectFile);
+  }
+
+  const config = { files: files, settings: {}, profiles: {} };
+  for (const file of files) {
+    const loaded = loadConfigFile(file);
+    Object.assign(config.settings, loaded.settings);
+    for (const name of Object.keys(loaded.profiles)) {
+      config.profiles[name] = Object.assign({}, config.profiles[name], loaded.profiles[name]);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Get the settings of a config with the given profile applied.
+ * @param {{ settings: Object, profiles: Object }} config
+ * @param {string} [profile] Name of the profile
+ * @returns {Object}
+ * @throws {FlashAppError} If the profile is not defined
+ */
+function resolveProfile (config, profile) {
+  if (!profile) {
+    return Object.assign({}, config.settings);
+  }
+
+  if (!config.profiles[profile]) {
+    const names = Object.keys(config.profiles);
+    if (names.length === 0) {
+      throw new FlashAppError(`Unknown profile ${profile}! No profiles are defined in the config files.`);
+    }
+    const similar = names.filter((name) => stringDistance(name, profile) <= 2);
+    throw new FlashAppError(`Unknown profile ${profile}! ` +
+      (similar.length > 0 ? `Did you mean ${similar.join(', ')}? ` : '') +
+      `Available profiles: ${names.join(', ')}`);
+  }
+
+  return Object.assign({}, config.settings, config.profiles[profile]);
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  loadConfigFile,
+  resolveProfile,
+};
@@ -0,0 +1,66 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Protocol constants shared by the flash app and its helpers.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+module.exports = {
+  BOOTLOADER_CMD_VERSION: 0x01, // command version of the MCP-CAN-Boot firmware, newer versions in `protocol.js` are proposed extensions
+
+  CAN_DATA_BYTE_MCU_ID_MSB:   0,
+  CAN_DATA_BYTE_MCU_ID_LSB:   1,
+  CAN_DATA_BYTE_CMD:          2,
+  CAN_DATA_BYTE_LEN_AND_ADDR: 3,
+
+  CAN_ID_MCU_TO_REMOTE_DEFAULT: 0x1FFFFF01,
+  CAN_ID_REMOTE_TO_MCU_DEFAULT: 0x1FFFFF02,
+
+  CAN_PING_INTERVAL_DEFAULT: 75,
+
+  RESPONSE_TIMEOUT_DEFAULT: 1000,
+  RETRIES_DEFAULT: 3,
+  DATA_ERROR_RETRIES_DEFAULT: 3,
+
+  // time (ms) to wait for the bootloader start message of a node when flashing multiple nodes,
+  // so a node which is offline does not block the following nodes
+  BATCH_SESSION_TIMEOUT_DEFAULT: 60000,
+
+  // maximum number of data frames in flight for pipelined transfers...
+  // the 5 address bits of a data frame must be unique within the window
+  PIPELINE_WINDOW_MAX: 8,
+
+  PAGE_SIZE_DEFAULT: 256, // used for incremental flashing if the page size of the device is unknown
+
+  CMD_PING:                     0b00000000, // remote -> mcu
+  CMD_BOOTLOADER_START:         0b00000010, // mcu -> remote
+  CMD_FLASH_INIT:               0b00000110, // remote -> mcu
+  CMD_FLASH_READY:              0b00000100, // mcu -> remote
+  CMD_FLASH_SET_ADDRESS:        0b00001010, // remote -> mcu
+  CMD_FLASH_ADDRESS_ERROR:      0b00001011, // mcu -> remote
+  CMD_FLASH_DATA:               0b00001000, // remote -> mcu
+  CMD_FLASH_DATA_ERROR:         0b00001101, // mcu -> remote
+  CMD_FLASH_DONE:               0b00010000, // remote -> mcu
+  CMD_FLASH_DONE_VERIFY:        0b01010000, // remote <-> mcu
+  CMD_FLASH_ERASE:              0b00100000, // remote -> mcu
+  CMD_FLASH_READ:               0b01000000, // remote -> mcu
+  CMD_FLASH_READ_DATA:          0b01001000, // mcu -> remote
+  CMD_FLASH_READ_ADDRESS_ERROR: 0b01001011, // mcu -> remote
+  CMD_MEMORY_SELECT:            0b00011000, // remote -> mcu (proposed command version 0x02)
+  CMD_START_APP:                0b10000000, // mcu <-> remote
+
+  MEMORY_FLASH:  0x00,
+  MEMORY_EEPROM: 0x01,
+
+  VERIFY_FAIL_START_APP: 'start-app',
+  VERIFY_FAIL_STAY:      'stay',
+  VERIFY_FAIL_REFLASH:   'reflash',
+
+  STATE_INIT:     'init',
+  STATE_FLASHING: 'flashing',
+  STATE_READING:  'reading',
+  STATE_COMPARING: 'comparing',
+  STATE_EEPROM:   'eeprom',
+};
@@ -0,0 +1,173 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { FlashAppError } = require('./errors');
+const { stringDistance } = require('./utils');
+
+/**
+ * Database of the known devices.
+ *
+ * The built-in devices are loaded from `devices.json`. Each device is defined by:
+ *
+ * - `partno` Part number like in avrdude (e.g. `m1284p`)
+ * - `name` Name of the device (e.g. `ATmega1284P`)
+ * - `aliases` Other names the device may be selected with
+ * - `signature` Device signature as hex bytes (e.g. `1E 97 05`)
+ * - `flashSize`, `pageSize` and `eepromSize` in bytes
+ */
+class DeviceDatabase {
+
+  /**
+   * @param {Object[]} [devices] Device definitions, defaults to the built-in devices
+   */
+  constructor (devices) {
+    this.devices = [];
+    this.addDevices(devices || JSON.parse(fs.readFileSync(path.join(__dirname, 'devices.json'), 'utf8')));
+  }
+
+  /**
+   * Load additional device definitions from a JSON file.
+   * Devices with an already known part number replace the existing ones.
+   * @param {string} file
+   */
+  loadFile (file) {
+    let devices;
+    try {
+      devices = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new FlashAppError(`Failed to load device file ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(devices)) {
+      throw new FlashAppError(`Failed to load device file ${file}: The file must contain an array of devices`);
+    }
+    this.addDevices(devices);
+  }
+
+  addDevices (devices) {
+    for (const def of devices) {
+      const device = this.normalizeDevice(def);
+      const idx = this.devices.findIndex((d) => d.partno === device.partno);
+      if (idx >= 0) {
+        this.devices[idx] = device;
+      } else {
+        this.devices.push(device);
+      }
+    }
+  }
+
+  normalizeDevice (def) {
+    if (!def || typeof def.partno !== 'string' || !def.partno) {
+      throw new FlashAppError(`Invalid device definition ${JSON.stringify(def)}: A partno must be provided`);
+    }
+
+    const signature = (typeof def.signature === 'string') ? (def.signature.replace(/[^0-9a-fA-F]/g, '').match(/../g) || []).map((b) => parseInt(b, 16)) : def.signature;
+    if (!Array.isArray(signature) || signature.length !== 3) {
+      throw new FlashAppError(`Invalid device definition for ${def.partno}: The signature must consist of three bytes`);
+    }
+    if (typeof def.flashSize !== 'number' || def.flashSize <= 0) {
+      throw new FlashAppError(`Invalid device definition for ${def.partno}: The flash size must be a positive number`);
+    }
+
+    return {
+      partno: def.partno.toLowerCase(),
+      name: def.name || def.partno,
+      aliases: (def.aliases || []).map((a) => a.toLowerCase()),
+      signature: signature,
+      flashSize: def.flashSize,
+      pageSize: def.pageSize || 0,
+      eepromSize: def.eepromSize || 0,
+    };
+  }
+
+  /**
+   * Get a device by its part number, name or one of its aliases.
+   * @param {string} partno
+   * @returns {Object|null}
+   */
+  get (partno) {
+    partno = partno.toLowerCase();
+    return this.devices.find((d) => d.partno === partno || d.name.toLowerCase() === partno || d.aliases.includes(partno)) || null;
+  }
+
+  /**
+   * Get all devices with the given signature.
+   * @param {number[]} signature
+   * @returns {Object[]}
+   */
+  getBySignature (signature) {
+    return this.devices.filter((d) => d.signature[0] === signature[0] && d.signature[1] === signature[1] && d.signature[2] === signature[2]);
+  }
+
+  /**
+   * Get the part numbers of the devices closest to the given (unknown) part number.
+   * @param {string} partno
+   * @param {number} [max=5] Maximum number of suggestions
+   * @returns {string[]}
+   */
+  suggest (partno, max = 5) {
+    partno = partno.toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(partno.length / 3));
+
+    return this.devices
+      .map((d) => ({
+        partno: d.partno,
+        distance: Math.min(...[ d.partno, d.name.toLowerCase() ].concat(d.aliases).map((n) => stringDistance(partno, n))),
+      }))
+      .filter((s) => s.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, max)
+      .map((s) => s.partno);
+  }
+
+  /**
+   * Get all known devices.
+   * @returns {Object[]}
+   */
+  getAll () {
+    return this.devices.slice();
+  }
+}
+
+let defaultDatabase = null;
+
+/**
+ * Get the database of the built-in devices.
+ * @returns {DeviceDatabase}
+ */
+function getDefaultDatabase () {
+  if (!defaultDatabase) {
+    defaultDatabase = new DeviceDatabase();
+  }
+  return defaultDatabase;
+}
+
+/**
+ * Get the info of a device by its part number.
+ * @param {string} partno Part number like in avrdude (e.g. `m1284p`)
+ * @param {DeviceDatabase} [database] The database to use, defaults to the built-in devices
+ * @returns {{ partno: string, name: string, signature: number[], flashSize: number, pageSize: number, eepromSize: number }}
+ * @throws {FlashAppError} If the device is unknown
+ */
+function loadDeviceInfo (partno, database) {
+  database = database || getDefaultDatabase();
+
+  const device = database.get(partno);
+  if (!device) {
+    const suggestions = database.suggest(partno);
+    throw new FlashAppError(`Unknown part number ${partno}!` + (suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : ''));
+  }
+  return device;
+}
+
+module.exports = {
+  DeviceDatabase,
+  getDefaultDatabase,
+  loadDeviceInfo,
+};
@@ -0,0 +1,37 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+/**
+ * Exit codes used by the CLI for the different kinds of errors.
+ */
+const EXIT_CODES = {
+  ERROR: 1,
+  ADDRESS_ERROR: 2,
+  DATA_ERROR: 3,
+  SIGNATURE_MISMATCH: 4,
+  VERSION_MISMATCH: 5,
+  VERIFY_FAILED: 6,
+  TIMEOUT: 7,
+  IO_ERROR: 8,
+};
+
+/**
+ * Error raised by the flash app when a session can not be completed.
+ * The `exitCode` is used by the CLI as the process exit code.
+ */
+class FlashAppError extends Error {
+  constructor (message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'FlashAppError';
+    this.exitCode = exitCode;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  FlashAppError,
+};
@@ -0,0 +1,2074 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Flash application for MCP-CAN-Boot, a CAN bus bootloader for
+ * AVR microcontrollers attached to an MCP2515 CAN controller.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const EventEmitter = require('events');
+const MemoryMap = require('nrf-intel-hex');
+
+const {
+  BOOTLOADER_CMD_VERSION,
+  CAN_DATA_BYTE_MCU_ID_MSB,
+  CAN_DATA_BYTE_MCU_ID_LSB,
+  CAN_DATA_BYTE_CMD,
+  CAN_ID_MCU_TO_REMOTE_DEFAULT,
+  CAN_ID_REMOTE_TO_MCU_DEFAULT,
+  CAN_PING_INTERVAL_DEFAULT,
+  RESPONSE_TIMEOUT_DEFAULT,
+  RETRIES_DEFAULT,
+  DATA_ERROR_RETRIES_DEFAULT,
+  PAGE_SIZE_DEFAULT,
+  PIPELINE_WINDOW_MAX,
+  CMD_BOOTLOADER_START,
+  CMD_FLASH_READY,
+  CMD_FLASH_ADDRESS_ERROR,
+  CMD_FLASH_DATA_ERROR,
+  CMD_FLASH_DONE_VERIFY,
+  CMD_FLASH_INIT,
+  CMD_FLASH_READ_DATA,
+  CMD_FLASH_READ_ADDRESS_ERROR,
+  CMD_START_APP,
+  MEMORY_FLASH,
+  MEMORY_EEPROM,
+  STATE_INIT,
+  STATE_FLASHING,
+  STATE_READING,
+  STATE_COMPARING,
+  STATE_EEPROM,
+  VERIFY_FAIL_START_APP,
+  VERIFY_FAIL_STAY,
+  VERIFY_FAIL_REFLASH,
+} = require('./constants');
+const { EXIT_CODES, FlashAppError } = require('./errors');
+const { getDefaultDatabase, loadDeviceInfo } = require('./devices');
+const { loadImage, memMapRanges, trimErasedPages } = require('./formats');
+const { computeChecksums, patchChecksum } = require('./checksum');
+const { cmdName, hexString, signatureString } = require('./utils');
+const { addMismatch, createVerifyReport, formatVerifyRange } = require('./verify');
+const { matchesResetAck, parseResetAck, parseResetSequence } = require('./reset');
+const { SUPPORTED_VERSIONS, capabilitiesString, capabilityVersion, createProtocol } = require('./protocol');
+const { SocketCanTransport } = require('./transports');
+
+// maximum number of mismatching ranges printed after a full verify
+const VERIFY_DIFF_MAX_RANGES = 20;
+
+// steps of the EEPROM phase of a session
+const EEPROM_STEP_SELECT = 'select';
+const EEPROM_STEP_WRITE = 'write';
+const EEPROM_STEP_VERIFY = 'verify';
+const EEPROM_STEP_READ = 'read';
+const EEPROM_STEP_DESELECT = 'deselect';
+
+/**
+ * Create a memory map of data given as Intel HEX string, firmware image or memory map.
+ * @param {string|Buffer|MemoryMap|Map<number, Uint8Array>} data
+ * @param {Object} [options] `format` and `baseAddress` of a firmware image given as Buffer
+ * @returns {MemoryMap|null} `null` if the type of the data is not supported
+ */
+function toMemMap (data, options = {}) {
+  if (typeof data === 'string') {
+    return MemoryMap.fromHex(data);
+  } else if (Buffer.isBuffer(data)) {
+    return loadImage(data, { format: options.format, baseAddress: options.baseAddress });
+  } else if (data instanceof MemoryMap) {
+    return data;
+  } else if (data instanceof Map) {
+    return new MemoryMap(data);
+  }
+  return null;
+}
+
+/**
+ * A single flash (or read) session with one MCU bootloader.
+ *
+ * The session is started using `run()` which returns a Promise resolving
+ * when the MCU starts the app. Nothing is printed to the console, instead
+ * the following events are emitted:
+ *
+ * - `log` (level, message) with level `info`, `warn`, `error` or `verbose`
+ * - `state` (state) when the internal state changes
+ * - `bootloader` ({ signature, version, device, capabilities }) when the bootloader start message is received
+ * - `progressStart` (total, startValue), `progress` (increment) and `progressStop` ()
+ * - `waiting` ({ mcuId }) when waiting for the bootloader start message
+ * - `verify` (report) after verifying the flash
+ */
+class FlashApp extends EventEmitter {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.mcuId ID of the MCU bootloader
+   * @param {string} [options.partno='auto'] Specific AVR device like in avrdude or `auto` to detect it by the signature
+   * @param {DeviceDatabase} [options.devices] Database of known devices, defaults to the built-in devices
+   * @param {string|Buffer|MemoryMap|Map<number, Uint8Array>} [options.hex] Intel HEX string, firmware image (Intel HEX, raw binary or ELF) or memory map to flash
+   * @param {string} [options.format] Format of a firmware image given as Buffer (`hex`, `bin` or `elf`), detected by the content if not set
+   * @param {number} [options.baseAddress=0] Start address of a raw binary firmware image
+   * @param {boolean|number} [options.read] Read the flash instead of flashing, optional with maximum address to read until
+   * @param {Array<{ start: number, end: number }>} [options.readRanges] Address ranges (inclusive end) to read instead of the whole program space, implies `read`
+   * @param {boolean} [options.readBootloader] Also try to read the bootloader section behind the program space, implies `read`
+   * @param {boolean} [options.eepromRead] Read the whole EEPROM (needs bootloader command version 0x02)
+   * @param {string|Buffer|MemoryMap|Map<number, Uint8Array>} [options.eepromWrite] Data to write into the EEPROM (needs bootloader command version 0x02),
+   *   `hex` is optional if the EEPROM is read or written
+   * @param {string} [options.iface='can0'] CAN interface to use
+   * @param {CanTransport} [options.transport] CAN transport to use instead of a SocketCAN channel on `iface`
+   * @param {CanTrace} [options.trace] Trace to log all sent and received CAN frames to
+   * @param {boolean} [options.erase] Erase whole flash before flashing new data
+   * @param {boolean} [options.skipErased] Skip pages containing only `0xFF` when flashing after erasing, or remove them from the read flash
+   * @param {boolean} [options.verify=true] Verify the flash after flashing and the EEPROM after writing
+   * @param {boolean} [options.verifyOnly] Only verify the flash against the image without writing anything
+   * @param {boolean} [options.fullVerify] Verify the whole image and collect all mismatching ranges instead of aborting at the first mismatch
+   * @param {string} [options.onVerifyFail='start-app'] What to do after a failed full verify: `start-app`, `stay` in the bootloader or `reflash` the failing ranges once
+   * @param {boolean} [options.force] Force flashing, even if the bootloader version missmatched
+   * @param {boolean} [options.incremental] Read back the flash first and only write the pages which differ from the image
+   * @param {boolean} [options.checksum] Compute the CRC32 and SHA-256 of the image and of the read back flash
+   * @param {number} [options.patchChecksum] Address to patch the length and CRC32 of the image into before flashing
+   * @param {boolean} [options.preflight=true] Check the image against the program space reported by the bootloader before flashing
+   * @param {string|Array<string|number>} [options.reset] CAN message (`<can_id>#{hex_data}`) or sequence of messages and delays (ms) to send on startup to reset the MCU
+   * @param {number} [options.resetRepeat] Send the reset sequence again in the given interval (ms) until the bootloader start message is received
+   * @param {string} [options.resetAck] CAN message (`<can_id>#{hex_data}`, data optional) the app acknowledges the reset request with, the reset sequence is sent again if it is not received within `timeout`
+   * @param {number} [options.canIdMcu] CAN-ID for messages from MCU to remote
+   * @param {number} [options.canIdRemote] CAN-ID for messages from remote to MCU
+   * @param {boolean} [options.sff] Use Standard Frame Format (SFF) for the CAN-IDs
+   * @param {boolean|number} [options.ping] Send a ping in the given interval (ms)
+   * @param {number} [options.timeout=1000] Time (ms) to wait for a response of the MCU before the request is sent again
+   * @param {number} [options.retries=3] Number of times a request is sent again before giving up
+   * @param {number} [options.dataErrorRetries=3] Number of times a chunk is sent again after a flash data error
+   * @param {number} [options.window=1] Number of flash data frames in flight (pipelined transfer, needs bootloader command version 0x03)
+   * @param {number} [options.sessionTimeout=0] Time (ms) to wait for the bootloader start message, 0 to wait forever
+   */
+  constructor (options) {
+    super();
+
+    this.options = Object.assign({
+      iface: 'can0',
+      verify: true,
+      preflight: true,
+      canIdMcu: CAN_ID_MCU_TO_REMOTE_DEFAULT,
+      canIdRemote: CAN_ID_REMOTE_TO_MCU_DEFAULT,
+      timeout: RESPONSE_TIMEOUT_DEFAULT,
+      retries: RETRIES_DEFAULT,
+      dataErrorRetries: DATA_ERROR_RETRIES_DEFAULT,
+      sessionTimeout: 0,
+      window: 1,
+    }, options);
+
+    if (typeof this.options.mcuId !== 'number' || isNaN(this.options.mcuId)) {
+      throw new FlashAppError('The MCU ID must be provided as a number!');
+    }
+    if (!Number.isInteger(this.options.window) || this.options.window < 1 || this.options.window > PIPELINE_WINDOW_MAX) {
+      throw new FlashAppError(`The window must be a number between 1 and ${PIPELINE_WINDOW_MAX}!`);
+    }
+
+    // handler of the bootloader command version, replaced by the one of the version reported by the bootloader
+    this.protocol = createProtocol(BOOTLOADER_CMD_VERSION, this.options.mcuId);
+
+    this.doErase = !!this.options.erase;
+    this.doEepromRead = !!this.options.eepromRead;
+    this.doEepromWrite = this.options.eepromWrite !== undefined && this.options.eepromWrite !== null;
+    this.doRead = !!this.options.read || this.options.read === 0 || !!this.options.readRanges || !!this.options.readBootloader;
+    this.readMaxAddr = (typeof this.options.read === 'number') ? this.options.read : 0;
+    this.readRangesRequested = this.options.readRanges ? this.parseReadRanges(this.options.readRanges) : null;
+    // read the program space unless only the bootloader section is requested
+    this.readProgram = !!this.options.read || this.options.read === 0 || !!this.readRangesRequested || !this.options.readBootloader;
+    this.readRanges = null;
+    this.readRangeIdx = 0;
+
+    this.verifyOnly = this.doRead ? false : !!this.options.verifyOnly;
+    this.doVerify = this.doRead ? false : (this.verifyOnly || !!this.options.verify); // if we are just reading, we cannot verify
+    this.doPreflight = (this.doRead || this.verifyOnly) ? false : !!this.options.preflight;
+    this.onVerifyFail = this.options.onVerifyFail || VERIFY_FAIL_START_APP;
+    if (![ VERIFY_FAIL_START_APP, VERIFY_FAIL_STAY, VERIFY_FAIL_REFLASH ].includes(this.onVerifyFail)) {
+      throw new FlashAppError(`Unknown verify fail policy ${this.onVerifyFail}!`);
+    }
+    if (this.verifyOnly) {
+      if (this.doErase || this.options.incremental || this.onVerifyFail === VERIFY_FAIL_REFLASH) {
+        throw new FlashAppError('Erasing or writing the flash is not possible when only verifying!');
+      }
+      if (this.doEepromWrite) {
+        throw new FlashAppError('Writing the EEPROM is not possible when only verifying!');
+      }
+    }
+    // the policies other than starting the app need the full verify report
+    this.fullVerify = this.doVerify && (this.verifyOnly || !!this.options.fullVerify || this.onVerifyFail !== VERIFY_FAIL_START_APP);
+    this.verifyMismatches = [];
+    this.verifyReport = null;
+    this.verifyReflashed = false;
+
+    this.doIncremental = this.doRead ? false : !!this.options.incremental;
+    if (this.doIncremental && this.doErase) {
+      throw new FlashAppError('Incremental flashing cannot be combined with erasing the flash!');
+    }
+
+    this.skipErased = !!this.options.skipErased;
+    if (this.skipErased && !this.doRead && !this.doErase) {
+      throw new FlashAppError('Erased pages can only be skipped when the flash is erased before flashing!');
+    }
+
+    // get default time for ping, if ping is set but without a time
+    if (this.options.ping === true) {
+      this.options.ping = CAN_PING_INTERVAL_DEFAULT;
+    }
+
+    this.state = STATE_INIT;
+    this.devices = this.options.devices || getDefaultDatabase();
+    this.autoDetect = !this.options.partno || this.options.partno.toLowerCase() === 'auto';
+    if (this.autoDetect) {
+      // device will be detected by the signature in the bootloader start message
+      this.device = null;
+      this.deviceSignature = null;
+      this.deviceFlashSize = 0;
+    } else {
+      this.device = loadDeviceInfo(this.options.partno, this.devices);
+      this.deviceSignature = this.device.signature;
+      this.deviceFlashSize = this.device.flashSize;
+    }
+
+    // the flash is not touched if only the EEPROM is read or written
+    this.doFlash = this.doRead || !!this.options.hex || !(this.doEepromRead || this.doEepromWrite);
+
+    if (!this.doRead && this.doFlash) {
+      // load the data to flash if we are not only reading the flash
+      this.memMap = toMemMap(this.options.hex, this.options);
+      if (!this.memMap) {
+        throw new FlashAppError('No data to flash provided!');
+      }
+
+    } else {
+      // we are only reading the flash... init an empty memory map
+      this.memMap = new MemoryMap();
+    }
+
+    this.eepromWriteMemMap = null;
+    if (this.doEepromWrite) {
+      this.eepromWriteMemMap = toMemMap(this.options.eepromWrite);
+      if (!this.eepromWriteMemMap) {
+        throw new FlashAppError('Unsupported type of the EEPROM data to write!');
+      }
+      this.eepromWriteMemMap = this.eepromWriteMemMap.join();
+      if (this.eepromWriteMemMap.size === 0) {
+        throw new FlashAppError('No data to write into the EEPROM provided!');
+      }
+    }
+    this.eepromPending = this.doEepromRead || this.doEepromWrite;
+    this.eepromStep = null;
+    this.eepromMemMap = null;
+
+    this.checksumPatch = null;
+    if (!this.doRead && typeof this.options.patchChecksum === 'number') {
+      // patch a copy to keep the memory map of the caller untouched
+      this.memMap = this.memMap.clone();
+      this.checksumPatch = patchChecksum(this.memMap, this.options.patchChecksum);
+      this.checksumPatch.address = this.options.patchChecksum;
+    }
+
+    this.imageChecksums = null;
+    this.flashChecksums = null;
+    this.readBack = null;
+    if (this.options.checksum && !this.doRead) {
+      this.imageChecksums = computeChecksums(this.memMap);
+      if (this.doVerify) {
+        // contents of the flash in the range of the image, collected while verifying...
+        // bytes which are not verified (unchanged pages at incremental flashing) were already
+        // read back and compared before, so the image data is used for them
+        this.imageMemMap = this.memMap;
+        this.readBackStart = this.imageChecksums.start;
+        this.readBack = this.memMap.slicePad(this.imageChecksums.start, this.imageChecksums.length, 0xFF);
+      }
+    }
+
+    this.setMemMap(this.memMap);
+    this.incrementalStats = null;
+
+    this.curAddr = 0x0000; // current flash address
+
+    this.readMemMap = null;
+
+    this.bootloaderVersion = null;
+
+    // parse the reset sequence now to report format errors before anything is sent
+    this.resetSteps = this.options.reset ? parseResetSequence(this.options.reset) : null;
+    this.resetAck = this.options.resetAck ? parseResetAck(this.options.resetAck) : null;
+    if (!this.resetSteps && (this.resetAck || this.options.resetRepeat)) {
+      throw new FlashAppError('A reset sequence must be given to repeat it or to wait for a reset acknowledge!');
+    }
+    this.resetTimer = undefined;
+    this.resetCount = 0;
+    this.resetAcked = false;
+
+    this.lastRequest = null; // last request sent to the MCU, used for retransmission
+    this.flashInitRequest = null;
+    this.flashInitLost = false; // no response to the flash init, send it again on the next bootloader start message
+    this.retryCount = 0;
+    this.retransmits = 0;
+    this.dataErrorCount = 0; // consecutive flash data errors of the current chunk
+
+    // number of flash data frames in flight, negotiated with the bootloader at the flash init
+    this.window = 1;
+    this.windowPending = false;
+
+    this.stats = { bytesWritten: 0, bytesRead: 0, framesSent: 0, framesReceived: 0 };
+
+    this.failure = null;
+    this.promise = null;
+  }
+
+  /**
+   * Set the memory map to flash and reset the flash position.
+   * @param {MemoryMap} memMap
+   */
+  setMemMap (memMap) {
+    this.memMap = memMap;
+    this.memMapKeys = this.memMap.keys(); // load all keys of the memory map
+    this.memMapCurrentKey = null; // set current key to null to begin new key on flash ready
+    this.memMapCurrentDataIdx = 0;
+    this.memMapTotalBytes = 0;
+    this.memMapEndAddr = 0;
+    this.pipeline = null; // state of a pipelined transfer of the memory map
+    // compute input file size in bytes and the last address
+    for (const [ addr, block ] of this.memMap) {
+      this.memMapTotalBytes += block.length;
+      this.memMapEndAddr = Math.max(this.memMapEndAddr, addr + block.length - 1);
+    }
+  }
+
+  /**
+   * Start the session.
+   * @returns {Promise<{ duration: number, device: Object, memMap: MemoryMap|null, incremental: Object|null, verify: Object|null, checksums: Object|null }>} Resolves
+   *   when the MCU starts the app. On read sessions `memMap` contains the read flash.
+   *   On incremental sessions `incremental` contains `pages`, `changedPages`, `bytesSkipped` and `timeSaved` (ms).
+   *   After verifying `verify` contains the verify report (`ok`, `bytesChecked`, `bytesMismatched` and `ranges`).
+   *   With the `checksum` option `checksums` contains the checksums of the `image` and the read back `flash`.
+   *   With the `eepromRead` option `eeprom` contains the read EEPROM.
+   *   `stats` contains the statistics of the transfer (`bytesWritten`, `bytesRead`, `bytesPerSecond`,
+   *   `framesSent`, `framesReceived`, `retransmits` and the used `window`).
+   */
+  run () {
+    if (this.promise) {
+      return this.promise;
+    }
+
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+
+      // use the given transport or create a SocketCAN transport on our own
+      this.ownTransport = !this.options.transport;
+      this.transport = this.options.transport || new SocketCanTransport(this.options.iface);
+      this.messageHandler = this.handleCanMsg.bind(this);
+      this.transport.on('message', this.messageHandler);
+
+      if (this.ownTransport) {
+        try {
+          this.transport.start();
+        } catch (err) {
+          this.finish(new FlashAppError(`Failed to open CAN interface ${this.options.iface}: ${err.message}`, EXIT_CODES.IO_ERROR));
+          return;
+        }
+      }
+
+      this.setState(STATE_INIT);
+
+      if (this.checksumPatch) {
+        this.log('info', `Patched length ${this.checksumPatch.length} and CRC32 ${hexString(this.checksumPatch.crc32, 8)} of ${hexString(this.checksumPatch.start, 4)}-${hexString(this.checksumPatch.start + this.checksumPatch.length - 1, 4)} at ${hexString(this.checksumPatch.address, 4)}.`);
+      }
+      if (this.imageChecksums) {
+        this.logChecksums('Image', this.imageChecksums);
+      }
+
+      // send can messages to reset the mcu?
+      if (this.resetSteps) {
+        this.sendResetSequence();
+      }
+
+      // send ping messages?
+      if (this.options.ping) {
+        this.log('info', `Sending a ping message every ${this.options.ping} ms.`);
+        this.pingInterval = setInterval(() => {
+          this.sendFrame(this.protocol.ping());
+        }, this.options.ping);
+      }
+
+      if (this.options.sessionTimeout > 0) {
+        this.sessionTimeout = setTimeout(() => {
+          this.finish(new FlashAppError(`Timeout: No bootloader start message received for MCU ID ${hexString(this.options.mcuId, 4)} within ${this.options.sessionTimeout} ms`, EXIT_CODES.TIMEOUT));
+        }, this.options.sessionTimeout);
+      }
+
+      this.log('info', `Waiting for bootloader start message for MCU ID ${hexString(this.options.mcuId, 4)} ...`);
+      this.emit('waiting', { mcuId: this.options.mcuId });
+    });
+
+    return this.promise;
+  }
+
+  /**
+   * Abort a running session.
+   * The MCU stays in the bootloader.
+   */
+  abort () {
+    if (this.promise) {
+      this.finish(new FlashAppError('Aborted'));
+    }
+  }
+
+  handleCanMsg (msg) {
+    if (this.options.trace) {
+      this.options.trace.received(msg);
+    }
+
+    if (this.resetAck && !this.resetAcked && !this.flashStartTs && matchesResetAck(this.resetAck, msg)) {
+      this.resetAcked = true;
+      this.stopReset();
+      this.log('info', 'Reset acknowledged by the app.');
+      return;
+    }
+
+    if (msg.data.length !== 8) return;
+    if (msg.id !== this.options.canIdMcu) return;
+
+    const mcuid = msg.data[CAN_DATA_BYTE_MCU_ID_LSB] + (msg.data[CAN_DATA_BYTE_MCU_ID_MSB] << 8);
+
+    if (mcuid !== this.options.mcuId) return;
+
+    // the message is for this bootloader session
+    this.stats.framesReceived++;
+
+    let byteCount, addrPart, signature, detected, protocol;
+    switch (this.state) {
+      case STATE_INIT:
+        switch (msg.data[CAN_DATA_BYTE_CMD]) {
+          case CMD_BOOTLOADER_START:
+            if (this.flashStartTs) {
+              // the bootloader repeats the start message until it gets our flash init...
+              // send it again if there was no response to it
+              if (this.flashInitLost) {
+                this.flashInitLost = false;
+                this.log('verbose', 'Got repeated bootloader start message, sending flash init again ...');
+                this.lastRequest = this.flashInitRequest;
+                this.sendFrame(this.lastRequest);
+                this.startResponseTimeout();
+              } else {
+                this.log('verbose', 'Got repeated bootloader start message, waiting for flash ready ...');
+              }
+              return;
+            }
+
+            signature = [msg.data[4], msg.data[5], msg.data[6]];
+            detected = this.devices.getBySignature(signature);
+            protocol = createProtocol(msg.data[7], this.options.mcuId);
+
+            this.emit('bootloader', {
+              signature: signature,
+              version: msg.data[7],
+              device: detected.length > 0 ? detected[0] : null,
+              capabilities: protocol ? protocol.capabilities : null,
+            });
+
+            if (this.autoDetect) {
+              // use the device matching the signature
+              if (detected.length === 0) {
+                this.finish(new FlashAppError(`Got bootloader start message with the unknown device signature ${signatureString(signature)}! Please provide the device using a device file.`, EXIT_CODES.SIGNATURE_MISMATCH));
+                return;
+              }
+              if (detected.length > 1) {
+                this.log('warn', `WARNING: Multiple devices with the signature ${signatureString(signature)} are known (${detected.map((d) => d.partno).join(', ')}), using ${detected[0].partno}.`);
+              }
+              this.device = detected[0];
+              this.deviceSignature = this.device.signature;
+              this.deviceFlashSize = this.device.flashSize;
+              this.log('info', `Detected device ${this.device.name} (${this.device.partno}) by signature ${signatureString(signature)}.`);
+
+            } else if (msg.data[4] !== this.deviceSignature[0] || msg.data[5] !== this.deviceSignature[1] || msg.data[6] !== this.deviceSignature[2]) {
+              // check device signature
+              this.log('error', 'Error: Got bootloader start message but device signature missmatched!');
+              this.log('error', `Expected ${signatureString(this.deviceSignature)} for ${this.options.partno}, got ${signatureString(signature)}` + (detected.length > 0 ? ` which belongs to ${detected.map((d) => `${d.name} (${d.partno})`).join(', ')}` : ''));
+              this.finish(new FlashAppError(`Device signature missmatched! Expected ${this.device.partno}, but detected ` + (detected.length > 0 ? detected[0].partno : `unknown device ${signatureString(signature)}`), EXIT_CODES.SIGNATURE_MISMATCH));
+              return;
+            }
+
+            // use the handler of the bootloader command version
+            this.bootloaderVersion = msg.data[7];
+            if (!protocol) {
+              const supported = SUPPORTED_VERSIONS.map((v) => hexString(v)).join(', ');
+              if (!this.options.force) {
+                this.log('error', `ERROR: Bootloader command version of MCU ${hexString(msg.data[7])} is not supported by this flash app (supported ${supported}). To force flashing use the -F argument.`);
+                this.finish(new FlashAppError(`Bootloader command version mismatched! Expected one of ${supported}, got ${hexString(msg.data[7])}`, EXIT_CODES.VERSION_MISMATCH));
+                return;
+              }
+              protocol = createProtocol(msg.data[7], this.options.mcuId, true);
+              this.log('warn', `WARNING: Bootloader command version of MCU ${hexString(msg.data[7])} is not supported by this flash app (supported ${supported}). You forced flashing anyways using the commands of version ${hexString(protocol.version)}. This may lead to a stupid result...`);
+            }
+            this.protocol = protocol;
+            this.log('verbose', `Using bootloader command version ${hexString(protocol.version)} (${capabilitiesString(protocol.capabilities)}).`);
+
+            // enter flash mode
+            this.log('info', 'Got bootloader start, entering flash mode ...');
+            if (this.pingInterval) {
+              clearInterval(this.pingInterval);
+              this.pingInterval = undefined;
+              this.log('info', `Stopped sending of ping messages.`);
+            }
+            if (this.sessionTimeout) {
+              clearTimeout(this.sessionTimeout);
+              this.sessionTimeout = undefined;
+            }
+            this.stopReset();
+            this.flashStartTs = Date.now();
+
+            // request multiple data frames in flight if wanted and supported
+            if (this.options.window > 1) {
+              if (this.protocol.supports('pipelined')) {
+                this.windowPending = true;
+              } else {
+                this.log('warn', `WARNING: Pipelined data transfers need bootloader command version ${hexString(capabilityVersion('pipelined'))}, sending one data frame at a time.`);
+              }
+            }
+            this.flashInitRequest = this.protocol.flashInit(this.deviceSignature, this.windowPending ? this.options.window : 1);
+            this.sendData(this.flashInitRequest);
+            break;
+
+          case CMD_FLASH_READY:
+            this.flashInitLost = false;
+            if (this.windowPending) {
+              this.windowPending = false;
+              if (this.lastRequest[CAN_DATA_BYTE_CMD] !== CMD_FLASH_INIT) {
+                // the flash ready to our flash init got lost, this is the response to the address query
+                this.log('warn', 'WARNING: The window accepted by the bootloader is unknown, sending one data frame at a time.');
+              } else {
+                // the flash ready to our flash init contains the window accepted by the bootloader
+                this.window = Math.min(this.protocol.acceptedWindow(msg.data), this.options.window);
+                if (this.window > 1) {
+                  this.log('info', `Using pipelined data transfers with up to ${this.window} frames in flight.`);
+                } else {
+                  this.log('warn', 'WARNING: The bootloader does not accept multiple data frames in flight, sending one data frame at a time.');
+                }
+              }
+            }
+
+            if (this.eepromPending) {
+              // access the EEPROM first since flashing ends with starting the app
+              this.eepromPending = false;
+              this.startEeprom();
+            } else {
+              this.onInitReady(msg.data);
+            }
+            break;
+
+          case CMD_FLASH_ADDRESS_ERROR:
+            if (this.doRead) {
+              // get FLASHEND_BL from error response (last address of program space).
+              // use it to recover the size of the program/bootloader sections.
+              const flashendBL = this.protocol.address(msg.data);
+              const progSize = flashendBL + 1;
+              const blSize = this.deviceFlashSize - progSize;
+              this.log('info', `Bootloader size: ${blSize} bytes`);
+
+              this.readRanges = this.getReadRanges(flashendBL);
+              if (this.readRanges.length === 0) {
+                this.failure = new FlashAppError('Nothing to read, all requested ranges are outside of the program space', EXIT_CODES.ADDRESS_ERROR);
+                this.sendStartApp();
+                return;
+              }
+
+              this.progressStart(this.readRanges.reduce((sum, r) => sum + r.end - r.start + 1, 0), 0);
+              this.setState(STATE_READING);
+              this.readRangeIdx = -1;
+              this.readNextRange();
+            } else if (this.preflightReadyMsgData) {
+              const readyMsgData = this.preflightReadyMsgData;
+              this.preflightReadyMsgData = null;
+              if (this.checkImage(this.protocol.address(msg.data))) {
+                this.onInitFlashReady(readyMsgData);
+              }
+            } else {
+              this.log('warn', 'WARNING: unexpected CMD_FLASH_ADDRESS_ERROR in STATE_INIT');
+            }
+            break;
+
+          case CMD_START_APP:
+            // the image was rejected before flashing, the MCU starts the old app
+            this.log('info', 'MCU is starting the app. :-)');
+            this.finish(this.failure);
+            break;
+
+          default:
+            // something wrong?
+            this.log('warn', `WARNING: Got unexpected message from MCU: ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+        }
+
+        break;
+
+      case STATE_EEPROM:
+        switch (msg.data[CAN_DATA_BYTE_CMD]) {
+          case CMD_FLASH_READY:
+            this.onEepromReady(msg.data);
+            break;
+
+          case CMD_FLASH_DATA_ERROR:
+            this.dataErrorCount++;
+            if (this.dataErrorCount > this.options.dataErrorRetries) {
+              this.progressStop();
+              this.log('error', 'EEPROM data error!');
+              this.failure = new FlashAppError(`EEPROM data error at ${hexString(this.curAddr, 4)} after ${this.options.dataErrorRetries} retries`, EXIT_CODES.DATA_ERROR);
+              this.sendStartApp();
+              return;
+            }
+            this.retransmits++;
+            this.log('warn', `WARNING: EEPROM data error at ${hexString(this.curAddr, 4)}, sending the data again (retry ${this.dataErrorCount} of ${this.options.dataErrorRetries}) ...`);
+            this.sendSetFlashAddress(this.curAddr);
+            break;
+
+          case CMD_FLASH_ADDRESS_ERROR:
+            this.progressStop();
+            if (this.eepromStep === EEPROM_STEP_SELECT) {
+              this.log('error', 'ERROR: The bootloader does not support accessing the EEPROM of this device!');
+              this.failure = new FlashAppError('EEPROM access is not supported by the bootloader', EXIT_CODES.VERSION_MISMATCH);
+            } else {
+              this.log('error', `ERROR: The MCU rejected the EEPROM address ${hexString(this.curAddr, 4)}!`);
+              this.failure = new FlashAppError(`EEPROM address error at ${hexString(this.curAddr, 4)}`, EXIT_CODES.ADDRESS_ERROR);
+            }
+            this.sendStartApp();
+            break;
+
+          case CMD_FLASH_READ_DATA:
+            byteCount = this.protocol.byteCount(msg.data);
+            addrPart = this.protocol.addressPart(msg.data);
+
+            if ((this.curAddr & 0b00011111) !== addrPart) {
+              this.progressStop();
+              this.log('error', 'Got an unexpected address of read data from MCU!');
+              this.log('error', 'Will now abort and exit the bootloader ...');
+              this.failure = new FlashAppError(`Got an unexpected address of read EEPROM data from MCU at ${hexString(this.curAddr)}`);
+              this.sendStartApp();
+              return;
+            }
+
+            this.log('verbose', `Got EEPROM data for ${hexString(this.curAddr, 4)} ...`);
+            this.stats.bytesRead += byteCount;
+            this.progressIncrement(byteCount);
+            this.onEepromReadData(msg.data.slice(4, 4 + byteCount));
+            break;
+
+          case CMD_FLASH_READ_ADDRESS_ERROR:
+            this.progressStop();
+            this.log('error', `ERROR: Reading the EEPROM failed at ${hexString(this.curAddr, 4)}!`);
+            this.failure = new FlashAppError(`Reading the EEPROM failed at ${hexString(this.curAddr, 4)}`, EXIT_CODES.ADDRESS_ERROR);
+            this.sendStartApp();
+            break;
+
+          case CMD_START_APP:
+            this.log('info', 'MCU is starting the app. :-)');
+            this.finish(this.failure);
+            break;
+
+          default:
+            // something wrong?
+            this.log('warn', `WARNING: Got unexpected message from MCU: ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+        }
+        break;
+
+      case STATE_FLASHING:
+
+        switch (msg.data[CAN_DATA_BYTE_CMD]) {
+          case CMD_FLASH_DATA_ERROR:
+            if (this.pipeline) {
+              this.onPipelineDataError(msg.data);
+              break;
+            }
+
+            this.dataErrorCount++;
+            if (this.dataErrorCount > this.options.dataErrorRetries) {
+              this.progressStop();
+              this.log('error', 'Flash data error!');
+              this.log('error', 'Maybe there are some CAN bus issues?');
+              this.finish(new FlashAppError(`Flash data error at ${hexString(this.curAddr, 4)} after ${this.options.dataErrorRetries} retries`, EXIT_CODES.DATA_ERROR));
+              return;
+            }
+
+            // re-sync the flash address of the MCU with ours...
+            // the MCU will respond with a flash ready and we send the chunk again
+            this.retransmits++;
+            this.log('warn', `WARNING: Flash data error at ${hexString(this.curAddr, 4)}, sending the data again (retry ${this.dataErrorCount} of ${this.options.dataErrorRetries}) ...`);
+            this.sendSetFlashAddress(this.curAddr);
+            break;
+
+          case CMD_FLASH_ADDRESS_ERROR:
+            this.progressStop();
+            this.onFlashAddressError(msg.data);
+            break;
+
+          case CMD_FLASH_READY:
+            if (this.pipeline) {
+              this.onPipelineReady(msg.data);
+              break;
+            }
+
+            byteCount = this.protocol.byteCount(msg.data);
+            if (byteCount > 0) {
+              this.dataErrorCount = 0;
+            }
+            this.stats.bytesWritten += byteCount;
+            this.progressIncrement(byteCount);
+            this.curAddr += byteCount;
+            this.memMapCurrentDataIdx += byteCount;
+            this.onFlashReady(msg.data);
+            break;
+
+          case CMD_START_APP:
+            this.log('info', `Flash done in ${(Date.now() - this.flashStartTs)} ms.`);
+            this.log('info', 'MCU is starting the app. :-)');
+            this.finish(null);
+            break;
+
+          default:
+            // something wrong?
+            this.log('warn', `WARNING: Got unexpected message from MCU: ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+        }
+        break;
+
+      case STATE_COMPARING:
+        switch (msg.data[CAN_DATA_BYTE_CMD]) {
+          case CMD_FLASH_READ_DATA:
+            byteCount = this.protocol.byteCount(msg.data);
+            addrPart = this.protocol.addressPart(msg.data);
+
+            if ((this.curAddr & 0b00011111) !== addrPart) {
+              this.progressStop();
+              this.log('error', 'Got an unexpected address of read data from MCU!');
+              this.log('error', 'Will now abort and exit the bootloader ...');
+              this.failure = new FlashAppError(`Got an unexpected address of read data from MCU at ${hexString(this.curAddr)}`);
+              this.sendStartApp();
+              return;
+            }
+
+            this.log('verbose', `Got flash data for ${hexString(this.curAddr, 4)} ...`);
+            this.stats.bytesRead += byteCount;
+            this.progressIncrement(byteCount);
+            this.onCompareData(msg.data.slice(4, 4 + byteCount));
+            break;
+
+          case CMD_FLASH_READ_ADDRESS_ERROR:
+            this.progressStop();
+            this.log('error', `ERROR: Reading the current flash contents failed at ${hexString(this.curAddr, 4)}!`);
+            this.log('error', 'Nothing was written, starting the app again ...');
+            this.failure = new FlashAppError(`Reading flash failed during compare at ${hexString(this.curAddr, 4)}`, EXIT_CODES.ADDRESS_ERROR);
+            this.sendStartApp();
+            break;
+
+          case CMD_START_APP:
+            this.log('info', 'MCU is starting the app. :-)');
+            this.finish(this.failure);
+            break;
+
+          default:
+            // something wrong?
+            this.log('warn', `WARNING: Got unexpected message from MCU: ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+        }
+        break;
+
+      case STATE_READING:
+        switch (msg.data[CAN_DATA_BYTE_CMD]) {
+          case CMD_FLASH_DONE_VERIFY:
+            this.startVerify();
+            break;
+
+          case CMD_FLASH_READ_DATA:
+            byteCount = this.protocol.byteCount(msg.data);
+            addrPart = this.protocol.addressPart(msg.data);
+
+            if ((this.curAddr & 0b00011111) !== addrPart) {
+              this.log('error', 'Got an unexpected address of read data from MCU!');
+              this.log('error', 'Will now abort and exit the bootloader ...');
+              this.failure = new FlashAppError(`Got an unexpected address of read data from MCU at ${hexString(this.curAddr)}`);
+              this.sendStartApp();
+              return;
+            }
+
+            this.log('verbose', `Got flash data for ${hexString(this.curAddr, 4)} ...`);
+            this.stats.bytesRead += byteCount;
+            this.progressIncrement(byteCount);
+
+            if (this.doVerify) {
+              // verify flash
+              for (let i = 0; i < byteCount; i++) {
+                const expected = this.memMap.get(this.memMapCurrentKey)[this.memMapCurrentDataIdx];
+                if (expected !== undefined && expected !== msg.data[4+i] && this.fullVerify) {
+                  // collect the mismatch and continue
+                  addMismatch(this.verifyMismatches, this.curAddr, expected, msg.data[4+i]);
+                } else if (expected !== undefined && expected !== msg.data[4+i]) {
+                  this.progressStop();
+                  this.log('error', `ERROR: Verify failed at ${hexString(this.curAddr)}!`);
+                  this.log('error', 'Trying to start the app nevertheless ...');
+                  this.verifyReport = createVerifyReport([ { start: this.curAddr, end: this.curAddr, expected: [ expected ], actual: [ msg.data[4+i] ] } ], this.verifyBytesChecked + 1);
+                  this.emit('verify', this.verifyReport);
+                  this.failure = new FlashAppError(`Verify failed at ${hexString(this.curAddr)}`, EXIT_CODES.VERIFY_FAILED);
+                  this.failure.verifyReport = this.verifyReport;
+                  this.sendStartApp();
+                  return;
+                }
+                if (expected !== undefined) {
+                  this.verifyBytesChecked++;
+                }
+                if (this.readBack && expected !== undefined) {
+                  this.readBack[this.curAddr - this.readBackStart] = msg.data[4+i];
+                }
+                this.curAddr++;
+                this.memMapCurrentDataIdx++;
+              }
+
+              this.readForVerify();
+
+            } else {
+              // read the current range and cache the data
+              const range = this.readRanges[this.readRangeIdx];
+              for (let i = 0; i < byteCount; i++) {
+                if (this.curAddr <= range.end) {
+                  range.data.push(msg.data[4+i]);
+                }
+                this.curAddr++;
+              }
+
+              if (this.curAddr > range.end) {
+                // reached the end of the range...
+                this.readNextRange();
+                return;
+              }
+              // request next address
+              this.sendFlashRead(this.curAddr);
+            }
+
+            break;
+
+          case CMD_FLASH_READ_ADDRESS_ERROR:
+            // we hit the end of the flash
+            if (this.doVerify) {
+              // hitting the end at verify must be an error...
+              this.progressStop();
+              this.log('error', 'ERROR: Reading flash failed during verify!');
+              this.failure = new FlashAppError(`Reading flash failed during verify at ${hexString(this.curAddr)}`, EXIT_CODES.VERIFY_FAILED);
+              this.sendStartApp();
+              return;
+            } else {
+              // the bootloader refuses reading behind the program space
+              const range = this.readRanges[this.readRangeIdx];
+              if (range.bootloader) {
+                this.log('warn', `WARNING: The bootloader does not allow reading the bootloader section (stopped at ${hexString(this.curAddr, 4)}, ${range.data.length} bytes read).`);
+              } else {
+                this.log('warn', `WARNING: Reading stopped at ${hexString(this.curAddr, 4)} by a read address error.`);
+              }
+              this.progressIncrement(range.end - this.curAddr + 1);
+              this.readNextRange();
+            }
+
+            break;
+
+          case CMD_START_APP:
+            this.log('info', 'MCU is starting the app. :-)');
+            this.finish(this.failure);
+            break;
+
+          default:
+            // something wrong?
+            this.log('warn', `WARNING: Got unexpected message from MCU: ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+        }
+        break;
+    }
+  }
+
+  startVerify () {
+    // start reading flash to verify
+    this.log('info', 'Start reading flash to verify ...');
+    this.progressStart(this.memMapTotalBytes, 0);
+    this.memMapKeys = this.memMap.keys(); // load all keys of the memory map
+    this.memMapCurrentKey = null; // set current key to null to begin new key on flash read
+    this.memMapCurrentDataIdx = 0;
+    this.verifyBytesChecked = 0;
+
+    this.readForVerify();
+  }
+
+  readForVerify () {
+    // check memory map and get next map key if we reached the end
+    if (!this.memMap.get(this.memMapCurrentKey) || this.memMap.get(this.memMapCurrentKey)[this.memMapCurrentDataIdx] === undefined) {
+      // no more data... goto next memory map key...
+      const key = this.memMapKeys.next();
+      if (key.done) {
+        // all keys done... verify complete
+        this.progressStop();
+        if (this.fullVerify) {
+          this.onFullVerifyDone();
+          return;
+        }
+        this.verifyReport = createVerifyReport([], this.memMapTotalBytes);
+        this.emit('verify', this.verifyReport);
+        this.computeFlashChecksums();
+        this.log('info', `Flash and verify done in ${(Date.now() - this.flashStartTs)} ms.`);
+        this.sendStartApp();
+        return;
+      }
+
+      // apply new current address and set data index to 0
+      this.memMapCurrentKey = key.value;
+      this.memMapCurrentDataIdx = 0;
+      this.curAddr = key.value;
+    }
+
+    // request next address
+    this.sendFlashRead(this.curAddr);
+  }
+
+  /**
+   * Validate the requested read ranges and merge overlapping ones.
+   * @param {Array<{ start: number, end: number }>} ranges
+   * @returns {Array<{ start: number, end: number }>}
+   */
+  parseReadRanges (ranges) {
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+      throw new FlashAppError('At least one read range must be provided!');
+    }
+
+    const sorted = ranges.map((r) => {
+      if (!r || typeof r.start !== 'number' || typeof r.end !== 'number' || isNaN(r.start) || isNaN(r.end) || r.start < 0 || r.end < r.start) {
+        throw new FlashAppError('Invalid read range! The start and end address must be positive numbers and the end must not be lower than the start.');
+      }
+      return { start: r.start, end: r.end };
+    }).sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const r of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && r.start <= last.end + 1) {
+        last.end = Math.max(last.end, r.end);
+      } else {
+        merged.push(r);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Get the ranges to read, limited to the program space reported by the bootloader.
+   * The bootloader section is added behind the program space if requested.
+   * @param {number} flashendBL Last address of the program space reported by the bootloader
+   * @returns {Array<{ start: number, end: number, bootloader: boolean, data: number[] }>}
+   */
+  getReadRanges (flashendBL) {
+    const ranges = [];
+
+    if (this.readProgram) {
+      let requested = this.readRangesRequested;
+      if (!requested) {
+        // default to the full program memory or until the user specified max read address
+        let end = flashendBL;
+        if (this.readMaxAddr >= flashendBL + 1) {
+          this.log('warn', `WARNING: read size of ${this.readMaxAddr} exceeds program memory size of ${flashendBL + 1}`);
+        } else if (this.readMaxAddr) {
+          end = this.readMaxAddr;
+        }
+        requested = [ { start: 0, end: end } ];
+      }
+
+      for (const r of requested) {
+        if (r.start > flashendBL) {
+          this.log('warn', `WARNING: Skipping read range ${hexString(r.start, 4)}-${hexString(r.end, 4)} outside of the program space (last address ${hexString(flashendBL, 4)}).`);
+          continue;
+        }
+        if (r.end > flashendBL) {
+          this.log('warn', `WARNING: Read range ${hexString(r.start, 4)}-${hexString(r.end, 4)} exceeds the program space, reading until ${hexString(flashendBL, 4)}.`);
+        }
+        ranges.push({ start: r.start, end: Math.min(r.end, flashendBL), bootloader: false, data: [] });
+      }
+    }
+
+    if (this.options.readBootloader) {
+      if (this.deviceFlashSize <= flashendBL + 1) {
+        this.log('warn', 'WARNING: There is no bootloader section behind the program space to read.');
+      } else {
+        this.log('info', `Trying to read the bootloader section ${hexString(flashendBL + 1, 4)}-${hexString(this.deviceFlashSize - 1, 4)} ...`);
+        ranges.push({ start: flashendBL + 1, end: this.deviceFlashSize - 1, bootloader: true, data: [] });
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Start reading the next range or finish reading if all ranges are done.
+   */
+  readNextRange () {
+    this.readRangeIdx++;
+    if (this.readRangeIdx >= this.readRanges.length) {
+      this.readDone();
+      return;
+    }
+
+    this.curAddr = this.readRanges[this.readRangeIdx].start;
+    this.sendFlashRead(this.curAddr);
+  }
+
+  readDone () {
+    this.progressStop();
+
+    // create memory map with the data of all ranges at their addresses
+    this.readMemMap = new MemoryMap();
+    for (const range of this.readRanges) {
+      if (range.data.length > 0) {
+        this.readMemMap.set(range.start, Uint8Array.from(range.data));
+        if (range.bootloader) {
+          this.log('info', `Read ${range.data.length} bytes of the bootloader section.`);
+        }
+      }
+    }
+
+    if (this.readMemMap.size === 0) {
+      this.readMemMap = null;
+      this.failure = new FlashAppError('Reading flash failed, no data could be read', EXIT_CODES.ADDRESS_ERROR);
+      this.sendStartApp();
+      return;
+    }
+
+    if (this.options.checksum) {
+      this.flashChecksums = computeChecksums(this.readMemMap);
+      this.logChecksums('Flash', this.flashChecksums);
+    }
+
+    if (this.skipErased) {
+      const trimmed = trimErasedPages(this.readMemMap, (this.device && this.device.pageSize) || PAGE_SIZE_DEFAULT);
+      this.readMemMap = trimmed.memMap;
+      this.log('info', `Removed ${trimmed.pages} erased pages (${trimmed.bytes} bytes of 0xFF) from the read flash.`);
+      if (this.readMemMap.size === 0) {
+        this.log('warn', `WARNING: All ${trimmed.bytes} read bytes are erased, the read flash is empty.`);
+      }
+    }
+
+    this.log('info', `Reading flash done in ${Date.now() - this.flashStartTs} ms.`);
+
+    // start the main application at the MCU
+    this.sendStartApp();
+  }
+
+  /**
+   * Compute the checksums of the flash read back while verifying and compare them with the image.
+   */
+  computeFlashChecksums () {
+    if (!this.readBack) return;
+
+    // use only the bytes at the addresses of the image, gaps are counted as 0xFF like for the image
+    const flash = new MemoryMap();
+    for (const [ addr, block ] of this.imageMemMap) {
+      flash.set(addr, this.readBack.subarray(addr - this.readBackStart, addr - this.readBackStart + block.length));
+    }
+    this.flashChecksums = computeChecksums(flash, this.imageChecksums);
+    this.logChecksums('Flash', this.flashChecksums);
+
+    if (this.flashChecksums.crc32 === this.imageChecksums.crc32 && this.flashChecksums.sha256 === this.imageChecksums.sha256) {
+      this.log('info', 'The checksums of the flash match the image.');
+    } else {
+      this.log('warn', 'WARNING: The checksums of the flash do not match the image!');
+    }
+  }
+
+  logChecksums (what, checksums) {
+    this.log('info', `${what} ${hexString(checksums.start, 4)}-${hexString(checksums.end - 1, 4)} (${checksums.length} bytes): CRC32 ${checksums.crc32}, SHA-256 ${checksums.sha256}`);
+  }
+
+  sendStartApp () {
+    this.log('info', 'Starting the app on the MCU ...');
+    this.sendData(this.protocol.startApp());
+  }
+
+  sendSetFlashAddress (addr) {
+    this.log('verbose', `Setting flash address to ${hexString(addr)} ...`);
+    this.sendData(this.protocol.setAddress(addr));
+  }
+
+  /**
+   * Abort flashing after the MCU rejected an address.
+   * The MCU stays in the bootloader since its flash is only partially written.
+   */
+  onFlashAddressError (msgData) {
+    // the MCU reports FLASHEND_BL (last address of the program space)
+    const flashendBL = this.protocol.address(msgData);
+
+    this.log('error', 'Flash address error!');
+    this.log('error', `The MCU rejected the address ${hexString(this.curAddr, 4)}.`);
+    this.log('error', `The last address of the program space reported by the bootloader is ${hexString(flashendBL, 4)}, the data to flash ends at ${hexString(this.memMapEndAddr, 4)}.`);
+    this.log('error', 'Maybe the hex file is not for this MCU type or the application is too large to be used together with the bootloader?');
+
+    this.finish(new FlashAppError(`Flash address error at ${hexString(this.curAddr, 4)} (last address of the program space is ${hexString(flashendBL, 4)})`, EXIT_CODES.ADDRESS_ERROR));
+  }
+
+  /**
+   * Start reading, verifying or flashing after the MCU is ready in the init state.
+   */
+  onInitReady (msgData) {
+    if (this.doRead) {
+      this.log('info', 'Querying bootloader size ...');
+      // determine size of bootloader section by trying to set the
+      // flash address to 0xFFFFFFFF (huge address that's out of bounds).
+      // bootloader will repond with CMD_FLASH_ADDRESS_ERROR that will
+      // inform us of FLASHEND_BL (last address of the program space).
+      // we can use that value and the known size of the chip's flash
+      // memory to determine the bootloader size.
+      this.sendSetFlashAddress(0xFFFFFFFF);
+    } else if (this.verifyOnly) {
+      // nothing to write... just read the flash to compare it with the image
+      this.setState(STATE_READING);
+      this.startVerify();
+    } else if (this.doPreflight) {
+      // query FLASHEND_BL the same way to check the image before anything is written
+      this.log('info', 'Querying bootloader size to check the image ...');
+      this.doPreflight = false;
+      this.preflightReadyMsgData = msgData;
+      this.sendSetFlashAddress(0xFFFFFFFF);
+    } else {
+      this.onInitFlashReady(msgData);
+    }
+  }
+
+  /**
+   * Erase the flash or begin flashing after the MCU is ready in the init state.
+   */
+  onInitFlashReady (msgData) {
+    if (this.doErase) {
+      if (this.skipErased) {
+        // the erased flash already contains 0xFF, so there is no need to write these pages
+        const trimmed = trimErasedPages(this.memMap, (this.device && this.device.pageSize) || PAGE_SIZE_DEFAULT);
+        if (trimmed.pages > 0) {
+          this.log('info', `Skipping ${trimmed.pages} erased pages (${trimmed.bytes} bytes of 0xFF).`);
+          this.setMemMap(trimmed.memMap);
+        }
+      }
+      this.log('info', 'Got flash ready message, erasing flash ...');
+      this.sendData(this.protocol.erase());
+      this.doErase = false;
+    } else if (this.doIncremental) {
+      this.doIncremental = false;
+      this.startCompare();
+    } else {
+      this.log('info', 'Got flash ready message, begin flashing ...');
+      this.setState(STATE_FLASHING);
+      this.onFlashReady(msgData);
+    }
+  }
+
+  /**
+   * Create the report of a full verify, print the mismatching ranges and apply
+   * the verify fail policy.
+   */
+  onFullVerifyDone () {
+    const ranges = this.verifyMismatches;
+    this.verifyReport = createVerifyReport(ranges, this.memMapTotalBytes);
+    this.verifyMismatches = [];
+    this.emit('verify', this.verifyReport);
+    const bytesMismatched = this.verifyReport.bytesMismatched;
+
+    if (this.verifyReport.ok) {
+      this.computeFlashChecksums();
+      if (this.verifyOnly) {
+        this.log('info', `Verify done in ${(Date.now() - this.flashStartTs)} ms, the flash matches the image.`);
+      } else {
+        this.log('info', `Flash and verify done in ${(Date.now() - this.flashStartTs)} ms.`);
+      }
+      this.sendStartApp();
+      return;
+    }
+
+    this.log('error', `ERROR: Verify failed! ${bytesMismatched} of ${this.memMapTotalBytes} bytes in ${ranges.length} ranges differ:`);
+    for (const r of this.verifyReport.ranges.slice(0, VERIFY_DIFF_MAX_RANGES)) {
+      this.log('error', `  ${formatVerifyRange(r)}`);
+    }
+    if (ranges.length > VERIFY_DIFF_MAX_RANGES) {
+      this.log('error', `  ... and ${ranges.length - VERIFY_DIFF_MAX_RANGES} more ranges`);
+    }
+
+    this.failure = new FlashAppError(`Verify failed, ${bytesMismatched} bytes in ${ranges.length} ranges differ`, EXIT_CODES.VERIFY_FAILED);
+    this.failure.verifyReport = this.verifyReport;
+
+    if (this.onVerifyFail === VERIFY_FAIL_REFLASH && !this.verifyReflashed) {
+      // flash the complete pages of the failing ranges again and verify them
+      this.verifyReflashed = true;
+      this.failure = null;
+      const pageSize = (this.device && this.device.pageSize) || PAGE_SIZE_DEFAULT;
+      const reflash = new MemoryMap();
+      for (const r of ranges) {
+        const start = r.start - (r.start % pageSize);
+        const end = r.end - (r.end % pageSize) + pageSize;
+        for (const [ addr, block ] of this.memMap.slice(start, end - start)) {
+          reflash.set(addr, block);
+        }
+      }
+      this.log('warn', 'WARNING: Flashing the pages of the failing ranges again ...');
+      this.setMemMap(reflash.join());
+      this.setState(STATE_FLASHING);
+      // the flash address of the MCU is unknown after reading, so always set it
+      this.onFlashReady([ 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF ]);
+      return;
+    }
+
+    if (this.onVerifyFail === VERIFY_FAIL_STAY) {
+      this.log('error', 'The MCU stays in the bootloader.');
+      this.finish(this.failure);
+      return;
+    }
+
+    this.log('error', 'Trying to start the app nevertheless ...');
+    this.sendStartApp();
+  }
+
+  /**
+   * Start reading back the flash pages covered by the image for incremental flashing.
+   */
+  startCompare () {
+    this.comparePageSize = (this.device && this.device.pageSize) || PAGE_SIZE_DEFAULT;
+
+    // merge the pages touched by the image into ranges to read
+    this.compareRanges = [];
+    for (const r of memMapRanges(this.memMap)) {
+      const start = r.start - (r.start % this.comparePageSize);
+      const end = r.end - (r.end % this.comparePageSize) + this.comparePageSize - 1;
+      const last = this.compareRanges[this.compareRanges.length - 1];
+      if (last && start <= last.end + 1) {
+        last.end = Math.max(last.end, end);
+      } else {
+        this.compareRanges.push({ start: start, end: end });
+      }
+    }
+
+    const total = this.compareRanges.reduce((sum, r) => sum + r.end - r.start + 1, 0);
+    this.log('info', `Reading current flash contents (${total} bytes) to find the changed pages ...`);
+
+    this.compareStartTs = Date.now();
+    this.compareRangeIdx = 0;
+    this.compareMemMap = new MemoryMap();
+    this.compareBuffer = new Uint8Array(this.compareRanges[0].end - this.compareRanges[0].start + 1);
+    this.compareOffset = 0;
+    this.curAddr = this.compareRanges[0].start;
+
+    this.setState(STATE_COMPARING);
+    this.progressStart(total, 0);
+    this.sendFlashRead(this.curAddr);
+  }
+
+  onCompareData (bytes) {
+    const range = this.compareRanges[this.compareRangeIdx];
+    for (const b of bytes) {
+      if (this.curAddr > range.end) break;
+      this.compareBuffer[this.compareOffset++] = b;
+      this.curAddr++;
+    }
+
+    if (this.curAddr > range.end) {
+      // range complete... continue with the next one
+      this.compareMemMap.set(range.start, this.compareBuffer);
+      this.compareRangeIdx++;
+      if (this.compareRangeIdx >= this.compareRanges.length) {
+        this.progressStop();
+        this.onCompareDone();
+        return;
+      }
+      const next = this.compareRanges[this.compareRangeIdx];
+      this.compareBuffer = new Uint8Array(next.end - next.start + 1);
+      this.compareOffset = 0;
+      this.curAddr = next.start;
+    }
+
+    this.sendFlashRead(this.curAddr);
+  }
+
+  /**
+   * Compare the read back flash page by page with the image and flash only the changed pages.
+   * Changed pages are written completely, filled up with their current contents.
+   */
+  onCompareDone () {
+    const readDuration = Date.now() - this.compareStartTs;
+    const readBytes = this.compareRanges.reduce((sum, r) => sum + r.end - r.start + 1, 0);
+    const pageSize = this.comparePageSize;
+    const changed = new MemoryMap();
+    let pages = 0;
+    let changedPages = 0;
+    let bytesSkipped = 0;
+
+    for (const [ rangeStart, current ] of this.compareMemMap) {
+      for (let pageAddr = rangeStart; pageAddr < rangeStart + current.length; pageAddr += pageSize) {
+        const image = this.memMap.slice(pageAddr, pageSize);
+        let imageBytes = 0;
+        let differs = false;
+        for (const [ addr, block ] of image) {
+          imageBytes += block.length;
+          for (let i = 0; i < block.length && !differs; i++) {
+            differs = block[i] !== current[addr - rangeStart + i];
+          }
+        }
+        if (imageBytes === 0) continue;
+        pages++;
+
+        if (!differs) {
+          bytesSkipped += imageBytes;
+          continue;
+        }
+
+        changedPages++;
+        const page = current.slice(pageAddr - rangeStart, pageAddr - rangeStart + pageSize);
+        for (const [ addr, block ] of image) {
+          page.set(block, addr - pageAddr);
+        }
+        changed.set(pageAddr, page);
+      }
+    }
+
+    // writing (and verifying) needs about the same number of frames per byte as reading
+    const timeSaved = Math.round(bytesSkipped * (readDuration / readBytes) * (this.doVerify ? 2 : 1));
+    this.incrementalStats = {
+      pages: pages,
+      changedPages: changedPages,
+      bytesSkipped: bytesSkipped,
+      timeSaved: timeSaved,
+    };
+    this.log('info', `${changedPages} of ${pages} pages changed, skipping ${bytesSkipped} bytes (about ${timeSaved} ms saved).`);
+    if (changedPages === 0) {
+      this.log('info', 'The flash is already up to date.');
+    }
+
+    this.setMemMap(changed.join());
+    this.setState(STATE_FLASHING);
+    // the flash address of the MCU is unknown after reading, so always set it
+    this.onFlashReady([ 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF ]);
+  }
+
+  /**
+   * Start the EEPROM phase of the session by selecting the EEPROM.
+   * The EEPROM is written (and verified) first and read afterwards.
+   */
+  startEeprom () {
+    const eepromSize = (this.device && this.device.eepromSize) || 0;
+    let error = null;
+    if (!this.protocol.supports('eeprom')) {
+      this.log('error', `ERROR: The bootloader (command version ${hexString(this.bootloaderVersion)}) does not support accessing the EEPROM, command version ${hexString(capabilityVersion('eeprom'))} or newer is required.`);
+      error = new FlashAppError(`EEPROM access is not supported by the bootloader command version ${hexString(this.bootloaderVersion)}`, EXIT_CODES.VERSION_MISMATCH);
+    } else if (eepromSize === 0) {
+      this.log('error', `ERROR: The EEPROM size of the ${this.device.name} is unknown.`);
+      error = new FlashAppError(`Unknown EEPROM size of ${this.device.partno}`, EXIT_CODES.ADDRESS_ERROR);
+    } else if (this.doEepromWrite) {
+      const ranges = memMapRanges(this.eepromWriteMemMap);
+      const last = ranges.length > 0 ? ranges[ranges.length - 1] : null;
+      if (last && last.end >= eepromSize) {
+        this.log('error', `ERROR: The EEPROM data ends at ${hexString(last.end, 4)} and exceeds the EEPROM of the ${this.device.name} (${eepromSize} bytes).`);
+        error = new FlashAppError(`EEPROM data does not fit into the EEPROM (ends at ${hexString(last.end, 4)}, EEPROM size is ${eepromSize} bytes)`, EXIT_CODES.ADDRESS_ERROR);
+      }
+    }
+    if (error) {
+      this.log('error', 'Nothing was written, starting the app again ...');
+      this.failure = error;
+      this.sendStartApp();
+      return;
+    }
+
+    this.eepromSize = eepromSize;
+    this.log('info', `Selecting the EEPROM (${eepromSize} bytes) ...`);
+    this.setState(STATE_EEPROM);
+    this.sendMemorySelect(EEPROM_STEP_SELECT, MEMORY_EEPROM);
+  }
+
+  /**
+   * Continue the EEPROM phase after the MCU is ready.
+   */
+  onEepromReady (msgData) {
+    const byteCount = this.protocol.byteCount(msgData);
+
+    switch (this.eepromStep) {
+      case EEPROM_STEP_SELECT:
+        if (this.doEepromWrite) {
+          this.eepromStep = EEPROM_STEP_WRITE;
+          this.eepromBlocks = Array.from(this.eepromWriteMemMap);
+          this.eepromBlockIdx = 0;
+          this.eepromBlockOffset = 0;
+          this.eepromWriteStartTs = Date.now();
+          this.curAddr = 0;
+          this.eepromWriteBytes = this.eepromBlocks.reduce((sum, b) => sum + b[1].length, 0);
+          this.log('info', `Writing ${this.eepromWriteBytes} bytes into the EEPROM ...`);
+          this.progressStart(this.eepromWriteBytes, 0);
+          this.writeEepromNext(msgData);
+        } else {
+          this.startEepromRead();
+        }
+        break;
+
+      case EEPROM_STEP_WRITE:
+        if (byteCount > 0) {
+          this.dataErrorCount = 0;
+        }
+        this.stats.bytesWritten += byteCount;
+        this.progressIncrement(byteCount);
+        this.curAddr += byteCount;
+        this.eepromBlockOffset += byteCount;
+        this.writeEepromNext(msgData);
+        break;
+
+      case EEPROM_STEP_DESELECT:
+        this.log('info', `EEPROM done in ${Date.now() - this.flashStartTs} ms.`);
+        this.setState(STATE_INIT);
+        if (this.doFlash) {
+          this.onInitReady(msgData);
+        } else {
+          this.sendStartApp();
+        }
+        break;
+
+      default:
+        this.log('warn', 'WARNING: unexpected CMD_FLASH_READY while accessing the EEPROM');
+    }
+  }
+
+  /**
+   * Send the next EEPROM data to write or continue if all data is written.
+   */
+  writeEepromNext (msgData) {
+    const curAddrRemote = this.protocol.address(msgData);
+
+    let block = this.eepromBlocks[this.eepromBlockIdx];
+    if (this.eepromBlockOffset >= block[1].length) {
+      this.eepromBlockIdx++;
+      this.eepromBlockOffset = 0;
+      block = this.eepromBlocks[this.eepromBlockIdx];
+      if (!block) {
+        // all data written
+        this.progressStop();
+        this.log('info', `Writing the EEPROM done in ${Date.now() - this.eepromWriteStartTs} ms.`);
+        if (this.doVerify) {
+          this.startEepromVerify();
+        } else {
+          this.startEepromRead();
+        }
+        return;
+      }
+    }
+    if (this.eepromBlockOffset === 0) {
+      this.curAddr = block[0];
+    }
+
+    if (this.curAddr !== curAddrRemote) {
+      this.sendSetFlashAddress(this.curAddr);
+      return;
+    }
+
+    const bytes = block[1].subarray(this.eepromBlockOffset, this.eepromBlockOffset + 4);
+    this.log('verbose', `Sending EEPROM data ${hexString(this.curAddr, 4)} ...`);
+    this.sendData(this.protocol.data(this.curAddr, Array.from(bytes)));
+  }
+
+  /**
+   * Read back the written EEPROM data to verify it.
+   */
+  startEepromVerify () {
+    this.log('info', 'Start reading the EEPROM to verify ...');
+    this.startEepromReadRanges(EEPROM_STEP_VERIFY, memMapRanges(this.eepromWriteMemMap));
+  }
+
+  /**
+   * Read the whole EEPROM if requested or finish the EEPROM phase.
+   */
+  startEepromRead () {
+    if (!this.doEepromRead) {
+      this.finishEeprom();
+      return;
+    }
+    this.log('info', `Start reading the EEPROM ...`);
+    this.startEepromReadRanges(EEPROM_STEP_READ, [ { start: 0, end: this.eepromSize - 1 } ]);
+  }
+
+  startEepromReadRanges (step, ranges) {
+    this.eepromStep = step;
+    this.eepromReadRanges = ranges.map((r) => ({ start: r.start, end: r.end, data: [] }));
+    this.eepromReadRangeIdx = 0;
+    this.eepromReadStartTs = Date.now();
+    this.curAddr = ranges[0].start;
+    this.progressStart(ranges.reduce((sum, r) => sum + r.end - r.start + 1, 0), 0);
+    this.sendFlashRead(this.curAddr);
+  }
+
+  onEepromReadData (bytes) {
+    const range = this.eepromReadRanges[this.eepromReadRangeIdx];
+    for (const b of bytes) {
+      if (this.curAddr > range.end) break;
+      range.data.push(b);
+      this.curAddr++;
+    }
+
+    if (this.curAddr > range.end) {
+      // range complete... continue with the next one
+      this.eepromReadRangeIdx++;
+      if (this.eepromReadRangeIdx >= this.eepromReadRanges.length) {
+        this.progressStop();
+        if (this.eepromStep === EEPROM_STEP_VERIFY) {
+          this.onEepromVerifyDone();
+        } else {
+          this.eepromMemMap = new MemoryMap();
+          this.eepromMemMap.set(0, Uint8Array.from(range.data));
+          this.log('info', `Reading the EEPROM done in ${Date.now() - this.eepromReadStartTs} ms.`);
+          this.finishEeprom();
+        }
+        return;
+      }
+      this.curAddr = this.eepromReadRanges[this.eepromReadRangeIdx].start;
+    }
+
+    this.sendFlashRead(this.curAddr);
+  }
+
+  /**
+   * Compare the read back EEPROM with the written data.
+   */
+  onEepromVerifyDone () {
+    const mismatches = [];
+    let bytesChecked = 0;
+    for (const range of this.eepromReadRanges) {
+      const expected = this.eepromWriteMemMap.slicePad(range.start, range.data.length);
+      for (let i = 0; i < range.data.length; i++) {
+        if (expected[i] !== range.data[i]) {
+          addMismatch(mismatches, range.start + i, expected[i], range.data[i]);
+        }
+        bytesChecked++;
+      }
+    }
+
+    const report = createVerifyReport(mismatches, bytesChecked);
+    if (!report.ok) {
+      this.log('error', `ERROR: Verify of the EEPROM failed! ${report.bytesMismatched} of ${bytesChecked} bytes in ${report.ranges.length} ranges differ:`);
+      for (const r of report.ranges.slice(0, VERIFY_DIFF_MAX_RANGES)) {
+        this.log('error', `  ${formatVerifyRange(r)}`);
+      }
+      this.log('error', 'Trying to start the app nevertheless ...');
+      this.failure = new FlashAppError(`Verify of the EEPROM failed, ${report.bytesMismatched} bytes in ${report.ranges.length} ranges differ`, EXIT_CODES.VERIFY_FAILED);
+      this.sendStartApp();
+      return;
+    }
+
+    this.log('info', `Verify of the EEPROM done, ${bytesChecked} bytes match.`);
+    this.startEepromRead();
+  }
+
+  /**
+   * Select the flash again to continue with the flash operations.
+   */
+  finishEeprom () {
+    this.sendMemorySelect(EEPROM_STEP_DESELECT, MEMORY_FLASH);
+  }
+
+  sendMemorySelect (step, memory) {
+    this.eepromStep = step;
+    this.sendData(this.protocol.memorySelect(memory));
+  }
+
+  sendFlashRead (addr) {
+    this.sendData(this.protocol.read(addr));
+  }
+
+  /**
+   * Check the image against the memory layout of the device before flashing.
+   * If the image overlaps the bootloader section or exceeds the flash, the app
+   * on the MCU is started again without writing anything.
+   * @param {number} flashendBL Last address of the program space reported by the bootloader
+   * @returns {boolean} `true` if the image fits into the program space
+   */
+  checkImage (flashendBL) {
+    const progSize = flashendBL + 1;
+    const ranges = memMapRanges(this.memMap);
+
+    this.log('info', `Program space: ${hexString(0, 4)}-${hexString(flashendBL, 4)} (${progSize} bytes), bootloader size: ${this.deviceFlashSize - progSize} bytes`);
+    this.log('info', 'Image occupies ' + ranges.map((r) => `${hexString(r.start, 4)}-${hexString(r.end, 4)}`).join(', ') + ` (${this.memMapTotalBytes} bytes)`);
+
+    const errors = [];
+    for (const r of ranges) {
+      if (r.end >= this.deviceFlashSize) {
+        errors.push(`The range ${hexString(r.start, 4)}-${hexString(r.end, 4)} exceeds the flash of the ${this.device.name} (${this.deviceFlashSize} bytes).`);
+      } else if (r.end > flashendBL) {
+        errors.push(`The range ${hexString(r.start, 4)}-${hexString(r.end, 4)} overlaps the bootloader section starting at ${hexString(progSize, 4)}.`);
+      }
+    }
+
+    if (errors.length === 0) {
+      this.log('info', `Free program space: ${progSize - this.memMapTotalBytes} bytes`);
+      return true;
+    }
+
+    for (const err of errors) {
+      this.log('error', `ERROR: ${err}`);
+    }
+    this.log('error', `The image does not fit into the program space. Nothing was written, starting the app again ...`);
+    this.failure = new FlashAppError(`Image does not fit into the program space (ends at ${hexString(this.memMapEndAddr, 4)}, last address of the program space is ${hexString(flashendBL, 4)})`, EXIT_CODES.ADDRESS_ERROR);
+    this.sendStartApp();
+    return false;
+  }
+
+  onFlashReady (msgData) {
+    if (this.window > 1 && !this.pipeline) {
+      this.startPipeline(msgData);
+      return;
+    }
+
+    const curAddrRemote = this.protocol.address(msgData);
+
+    if (!this.memMap.get(this.memMapCurrentKey) || this.memMap.get(this.memMapCurrentKey)[this.memMapCurrentDataIdx] === undefined) {
+      // no more data... goto next memory map key...
+      const key = this.memMapKeys.next();
+      if (key.done) {
+        // all keys done... flash complete
+        this.onFlashDataDone();
+        return;
+      }
+
+      // initialize progress bar on first block
+      if (this.memMapCurrentKey == null) {
+        this.progressStart(this.memMapTotalBytes, 0);
+      }
+
+      // apply new current address and set data index to 0
+      this.memMapCurrentKey = key.value;
+      this.memMapCurrentDataIdx = 0;
+      this.curAddr = key.value;
+    }
+
+    if (this.curAddr !== curAddrRemote) {
+      // need to set the address to flash...
+      this.log('info', `Setting flash address to ${hexString(this.curAddr, 4)} ...`);
+      this.sendSetFlashAddress(this.curAddr);
+      return;
+    }
+
+    // send data to flash... add the 4 data bytes if available
+    const bytes = [];
+    for (let i = 0; i < 4; i++) {
+      const byte = this.memMap.get(this.memMapCurrentKey)[this.memMapCurrentDataIdx+i];
+      if (byte === undefined) {
+        break;
+      }
+      bytes.push(byte);
+    }
+
+    this.log('verbose', `Sending flash data ${hexString(this.curAddr, 4)} ...`);
+    this.sendData(this.protocol.data(this.curAddr, bytes));
+  }
+
+  /**
+   * Finalize flashing after all data is written.
+   */
+  onFlashDataDone () {
+    this.progressStop();
+    this.log('info', 'All data transmitted. Finalizing ...');
+    if (this.doVerify) {
+      // we want to verify... send flash done verify and set own state to read
+      this.setState(STATE_READING);
+      this.sendData(this.protocol.done(true));
+
+    } else {
+      // we don't want to verify... send flash done to start the app
+      this.sendData(this.protocol.done(false));
+    }
+  }
+
+  /**
+   * Begin a pipelined transfer of the memory map.
+   *
+   * The data is split into chunks of up to four bytes which are sent without waiting
+   * for the flash ready of the previous chunk as long as at most `window` chunks are
+   * unacknowledged. The MCU acknowledges the chunks by the address in its flash ready
+   * responses. After a flash data error or a timeout the flash address of the MCU is set
+   * to the first unacknowledged chunk and the following chunks are sent again.
+   */
+  startPipeline (msgData) {
+    const chunks = [];
+    for (const [ addr, block ] of this.memMap) {
+      for (let i = 0; i < block.length; i += 4) {
+        chunks.push({ addr: addr + i, bytes: Array.from(block.subarray(i, i + 4)) });
+      }
+    }
+
+    this.pipeline = {
+      chunks: chunks,
+      ackIdx: 0, // first chunk not acknowledged by the MCU
+      sendIdx: 0, // next chunk to send
+      sentIdx: 0, // chunks sent at least once, used to count the retransmits
+      nextAddr: this.protocol.address(msgData), // flash address of the MCU after the sent chunks
+      barrier: null, // address set on the MCU, responses are ignored until its flash ready
+      done: false,
+    };
+
+    this.progressStart(this.memMapTotalBytes, 0);
+    this.fillPipeline();
+  }
+
+  /**
+   * Send chunks until the window is full.
+   * Before a chunk not following the previous one, all chunks must be acknowledged
+   * and the flash address is set.
+   */
+  fillPipeline () {
+    const pipeline = this.pipeline;
+
+    if (pipeline.ackIdx >= pipeline.chunks.length) {
+      // all chunks acknowledged... flash complete
+      pipeline.done = true;
+      this.onFlashDataDone();
+      return;
+    }
+
+    while (pipeline.sendIdx < pipeline.chunks.length && pipeline.sendIdx - pipeline.ackIdx < this.window) {
+      const chunk = pipeline.chunks[pipeline.sendIdx];
+      if (chunk.addr !== pipeline.nextAddr) {
+        if (pipeline.ackIdx === pipeline.sendIdx) {
+          this.log('info', `Setting flash address to ${hexString(chunk.addr, 4)} ...`);
+          this.sendPipelineAddress(chunk.addr);
+        }
+        break;
+      }
+
+      if (pipeline.sendIdx < pipeline.sentIdx) {
+        this.retransmits++;
+      }
+      this.log('verbose', `Sending flash data ${hexString(chunk.addr, 4)} ...`);
+      this.lastRequest = this.protocol.data(chunk.addr, chunk.bytes);
+      this.sendFrame(this.lastRequest);
+      pipeline.sendIdx++;
+      pipeline.sentIdx = Math.max(pipeline.sentIdx, pipeline.sendIdx);
+      pipeline.nextAddr = chunk.addr + chunk.bytes.length;
+    }
+
+    this.startResponseTimeout();
+  }
+
+  /**
+   * Set the flash address of the MCU during a pipelined transfer.
+   * Unlike `sendSetFlashAddress()` the retry count is kept, so repeated timeouts still end the session.
+   */
+  sendPipelineAddress (addr) {
+    this.pipeline.barrier = addr;
+    this.curAddr = addr;
+    this.lastRequest = this.protocol.setAddress(addr);
+    this.sendFrame(this.lastRequest);
+    this.startResponseTimeout();
+  }
+
+  /**
+   * Send the chunks again beginning at the first unacknowledged one.
+   */
+  resyncPipeline () {
+    const pipeline = this.pipeline;
+    pipeline.sendIdx = pipeline.ackIdx;
+    this.sendPipelineAddress(pipeline.chunks[pipeline.ackIdx].addr);
+  }
+
+  /**
+   * Acknowledge all chunks in flight ending at or before the given flash address of the MCU.
+   */
+  acknowledgeChunks (addr) {
+    const pipeline = this.pipeline;
+    let bytes = 0;
+    while (pipeline.ackIdx < pipeline.sendIdx) {
+      const chunk = pipeline.chunks[pipeline.ackIdx];
+      if (addr < chunk.addr + chunk.bytes.length || addr > pipeline.nextAddr) {
+        break;
+      }
+      bytes += chunk.bytes.length;
+      pipeline.ackIdx++;
+    }
+
+    if (bytes > 0) {
+      this.dataErrorCount = 0;
+      this.retryCount = 0;
+      this.curAddr = addr;
+      this.stats.bytesWritten += bytes;
+      this.progressIncrement(bytes);
+    }
+  }
+
+  onPipelineReady (msgData) {
+    const pipeline = this.pipeline;
+    if (pipeline.done) {
+      this.log('verbose', 'Got flash ready after all data was transmitted, ignoring it.');
+      return;
+    }
+
+    const addr = this.protocol.address(msgData);
+    if (pipeline.barrier !== null) {
+      if (this.protocol.byteCount(msgData) > 0 || addr !== pipeline.barrier) {
+        // response to a chunk sent before the address was set
+        return;
+      }
+      pipeline.barrier = null;
+      pipeline.nextAddr = addr;
+      this.curAddr = addr;
+      this.retryCount = 0;
+    } else {
+      this.acknowledgeChunks(addr);
+    }
+
+    this.fillPipeline();
+  }
+
+  onPipelineDataError (msgData) {
+    const pipeline = this.pipeline;
+    if (pipeline.done || pipeline.barrier !== null) {
+      // caused by a chunk sent before the address was set
+      return;
+    }
+
+    // the MCU reports the address behind the last written data
+    this.acknowledgeChunks(this.protocol.address(msgData));
+    if (pipeline.ackIdx === pipeline.sendIdx) {
+      this.fillPipeline();
+      return;
+    }
+
+    this.dataErrorCount++;
+    if (this.dataErrorCount > this.options.dataErrorRetries) {
+      this.progressStop();
+      this.log('error', 'Flash data error!');
+      this.log('error', 'Maybe there are some CAN bus issues?');
+      this.finish(new FlashAppError(`Flash data error at ${hexString(this.curAddr, 4)} after ${this.options.dataErrorRetries} retries`, EXIT_CODES.DATA_ERROR));
+      return;
+    }
+
+    this.log('warn', `WARNING: Flash data error at ${hexString(this.curAddr, 4)}, sending the data again from there (retry ${this.dataErrorCount} of ${this.options.dataErrorRetries}) ...`);
+    this.resyncPipeline();
+  }
+
+  /**
+   * Send the given 8 data bytes as a request to the MCU.
+   * If no response is received within the timeout, the request is sent again.
+   */
+  sendData (data) {
+    this.lastRequest = data;
+    this.retryCount = 0;
+    this.sendFrame(data);
+    this.startResponseTimeout();
+  }
+
+  /**
+   * Send the given 8 data bytes to the MCU without waiting for a response.
+   */
+  sendFrame (data) {
+    this.send({
+      id: this.options.canIdRemote,
+      ext: !this.options.sff,
+      rtr: false,
+      data: Buffer.from(data)
+    });
+  }
+
+  /**
+   * Send a CAN message using the transport and add it to the trace.
+   */
+  send (msg) {
+    if (this.options.trace) {
+      this.options.trace.sent(msg);
+    }
+    this.stats.framesSent++;
+    this.transport.send(msg);
+  }
+
+  startResponseTimeout () {
+    this.clearResponseTimeout();
+    this.responseTimeout = setTimeout(this.onResponseTimeout.bind(this), this.options.timeout);
+  }
+
+  clearResponseTimeout () {
+    if (this.responseTimeout) {
+      clearTimeout(this.responseTimeout);
+      this.responseTimeout = undefined;
+    }
+  }
+
+  onResponseTimeout () {
+    this.responseTimeout = undefined;
+    const cmd = cmdName(this.lastRequest[CAN_DATA_BYTE_CMD]);
+
+    if (this.retryCount >= this.options.retries) {
+      this.progressStop();
+      this.finish(new FlashAppError(`Timeout: No response from MCU to ${cmd} after ${this.retryCount} retries`, EXIT_CODES.TIMEOUT));
+      return;
+    }
+
+    this.retryCount++;
+    if (this.lastRequest[CAN_DATA_BYTE_CMD] === CMD_FLASH_INIT) {
+      // the MCU ignores a repeated flash init after entering the flash mode, so check if it is
+      // in flash mode by setting the address... if it is still waiting for the flash init,
+      // it repeats the bootloader start message and the flash init is sent again
+      this.flashInitLost = true;
+      this.retransmits++;
+      this.log('warn', `WARNING: No response from MCU to ${cmd}, checking if the MCU is in flash mode (retry ${this.retryCount} of ${this.options.retries}) ...`);
+      this.lastRequest = this.protocol.setAddress(0x0000);
+      this.sendFrame(this.lastRequest);
+      this.startResponseTimeout();
+      return;
+    }
+    if (this.pipeline && !this.pipeline.done) {
+      // some frames or responses got lost... continue at the first unacknowledged chunk
+      this.log('warn', `WARNING: No response from MCU to ${cmd}, sending the data again from ${hexString(this.pipeline.chunks[this.pipeline.ackIdx].addr, 4)} (retry ${this.retryCount} of ${this.options.retries}) ...`);
+      this.resyncPipeline();
+      return;
+    }
+
+    this.retransmits++;
+    this.log('warn', `WARNING: No response from MCU to ${cmd}, sending it again (retry ${this.retryCount} of ${this.options.retries}) ...`);
+    this.sendFrame(this.lastRequest);
+    this.startResponseTimeout();
+  }
+
+  /**
+   * Send the reset sequence to the MCU.
+   * Delays of the sequence are done using timeouts, afterwards the sequence is
+   * repeated or the reset acknowledge is awaited if configured.
+   */
+  sendResetSequence () {
+    this.resetCount++;
+    let idx = 0;
+    const next = () => {
+      this.resetTimer = undefined;
+      while (idx < this.resetSteps.length) {
+        const step = this.resetSteps[idx++];
+        if (step.frame) {
+          this.send(step.frame);
+        } else if (step.delay > 0) {
+          this.resetTimer = setTimeout(next, step.delay);
+          return;
+        }
+      }
+      this.onResetSequenceSent();
+    };
+    next();
+  }
+
+  onResetSequenceSent () {
+    if (this.resetCount === 1) {
+      this.log('info', this.resetSteps.length > 1 ? 'Reset sequence sent to the MCU.' : 'Reset message send to the MCU.');
+    } else {
+      this.log('verbose', `Reset sequence sent again (${this.resetCount}).`);
+    }
+
+    if (this.resetAck && !this.resetAcked) {
+      this.resetTimer = setTimeout(this.onResetAckTimeout.bind(this), this.options.timeout);
+    } else if (this.options.resetRepeat > 0) {
+      this.resetTimer = setTimeout(this.sendResetSequence.bind(this), this.options.resetRepeat);
+    }
+  }
+
+  onResetAckTimeout () {
+    this.resetTimer = undefined;
+    if (this.resetCount > this.options.retries) {
+      this.finish(new FlashAppError(`Timeout: No reset acknowledge from the app after ${this.resetCount} reset requests`, EXIT_CODES.TIMEOUT));
+      return;
+    }
+    this.log('warn', `WARNING: No reset acknowledge from the app, sending the reset sequence again (retry ${this.resetCount} of ${this.options.retries}) ...`);
+    this.sendResetSequence();
+  }
+
+  /**
+   * Stop sending the reset sequence, e.g. when the bootloader started.
+   */
+  stopReset () {
+    if (this.resetTimer) {
+      clearTimeout(this.resetTimer);
+      this.resetTimer = undefined;
+    }
+  }
+
+  setState (state) {
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  log (level, message) {
+    this.emit('log', level, message);
+  }
+
+  progressStart (total, startValue) {
+    this.emit('progressStart', total, startValue);
+  }
+
+  progressIncrement (incr = 1) {
+    this.emit('progress', incr);
+  }
+
+  progressStop () {
+    this.emit('progressStop');
+  }
+
+  /**
+   * Do a clean finish of the session and settle the Promise returned by `run()`.
+   */
+  finish (err) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+
+    try {
+      if (this.pingInterval) {
+        clearInterval(this.pingInterval);
+        this.pingInterval = undefined;
+      }
+      if (this.sessionTimeout) {
+        clearTimeout(this.sessionTimeout);
+        this.sessionTimeout = undefined;
+      }
+      this.clearResponseTimeout();
+      this.stopReset();
+      if (this.transport) {
+        this.transport.removeListener('message', this.messageHandler);
+        if (this.ownTransport) {
+          this.transport.stop();
+        }
+      }
+    } catch (e) {
+      this.log('warn', `Error at exit cleanup: ${e}`);
+    }
+
+    if (err) {
+      this.reject(err);
+    } else {
+      const duration = this.flashStartTs ? Date.now() - this.flashStartTs : 0;
+      this.resolve({
+        duration: duration,
+        device: this.device,
+        memMap: this.readMemMap,
+        incremental: this.incrementalStats,
+        verify: this.verifyReport,
+        checksums: (this.imageChecksums || this.flashChecksums) ? { image: this.imageChecksums, flash: this.flashChecksums } : null,
+        eeprom: this.eepromMemMap,
+        stats: Object.assign({}, this.stats, {
+          bytesPerSecond: duration > 0 ? Math.round((this.stats.bytesWritten + this.stats.bytesRead) * 1000 / duration) : 0,
+          retransmits: this.retransmits,
+          window: this.window,
+        }),
+      });
+    }
+  }
+}
+
+/**
+ * Flash (or read) a MCU using the given options.
+ * @param {Object} options See the `FlashApp` constructor
+ * @param {Object<string, Function>} [listeners] Event listeners to attach to the session
+ * @returns {Promise<{ duration: number, device: Object, memMap: MemoryMap|null, incremental: Object|null, verify: Object|null, checksums: Object|null }>}
+ */
+function flash (options, listeners) {
+  return new Promise((resolve) => {
+    const app = new FlashApp(options);
+    if (listeners) {
+      for (const event of Object.keys(listeners)) {
+        app.on(event, listeners[event]);
+      }
+    }
+    resolve(app.run());
+  });
+}
+
+module.exports = {
+  FlashApp,
+  flash,
+};
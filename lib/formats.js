@@ -0,0 +1,418 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Conversion of memory maps from and to the supported file formats.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const path = require('path');
+const MemoryMap = require('nrf-intel-hex');
+
+const { FlashAppError } = require('./errors');
+
+const FORMAT_HEX  = 'hex';
+const FORMAT_BIN  = 'bin';
+const FORMAT_SREC = 'srec';
+const FORMAT_ELF  = 'elf';
+
+// all formats can be loaded, ELF files can not be written
+const FORMATS = [ FORMAT_HEX, FORMAT_BIN, FORMAT_SREC, FORMAT_ELF ];
+const OUTPUT_FORMATS = FORMATS.filter((format) => format !== FORMAT_ELF);
+
+// file extensions of the formats
+const FORMAT_EXTENSIONS = {
+  '.hex': FORMAT_HEX,
+  '.ihx': FORMAT_HEX,
+  '.ihex': FORMAT_HEX,
+  '.bin': FORMAT_BIN,
+  '.srec': FORMAT_SREC,
+  '.s19': FORMAT_SREC,
+  '.s28': FORMAT_SREC,
+  '.s37': FORMAT_SREC,
+  '.mot': FORMAT_SREC,
+  '.elf': FORMAT_ELF,
+};
+
+const ELF_MAGIC = [ 0x7F, 0x45, 0x4C, 0x46 ]; // 0x7F 'E' 'L' 'F'
+const ELF_PT_LOAD = 1;
+const ELF_SHT_PROGBITS = 1;
+const ELF_SHF_ALLOC = 0x2;
+const ELF_HEADER_SIZE = 0x34;
+const ELF_PH_SIZE = 0x20; // size of a program header
+const ELF_SH_SIZE = 0x28; // size of a section header
+
+// AVR toolchains place data memory (SRAM, EEPROM, fuses, ...) at 0x800000 and above
+const AVR_DATA_MEMORY_OFFSET = 0x800000;
+
+const SREC_BYTES_PER_RECORD = 32;
+
+/**
+ * Get the format of a file by its extension.
+ * @param {string} file
+ * @returns {string|null} The format or `null` if the extension is unknown
+ */
+function formatFromFilename (file) {
+  return FORMAT_EXTENSIONS[path.extname(file).toLowerCase()] || null;
+}
+
+/**
+ * Get the first and the end (exclusive) address of the data in a memory map.
+ * @param {MemoryMap} memMap
+ * @returns {{ start: number, end: number }}
+ */
+function memMapBounds (memMap) {
+  let start = Infinity;
+  let end = 0;
+  for (const [ addr, block ] of memMap) {
+    start = Math.min(start, addr);
+    end = Math.max(end, addr + block.length);
+  }
+  return { start: (start === Infinity) ? 0 : start, end: end };
+}
+
+/**
+ * Get the address ranges occupied by the data in a memory map.
+ * Adjacent and overlapping blocks are merged.
+ * @param {MemoryMap} memMap
+ * @returns {{ start: number, end: number }[]} Sorted ranges with inclusive end addresses
+ */
+function memMapRanges (memMap) {
+  const ranges = [];
+  const keys = Array.from(memMap.keys()).sort((a, b) => a - b);
+  for (const addr of keys) {
+    const end = addr + memMap.get(addr).length - 1;
+    const last = ranges[ranges.length - 1];
+    if (last && addr <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start: addr, end: end });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Remove all pages containing only erased bytes (0xFF) from a memory map.
+ * Bytes not contained in the memory map are counted as erased.
+ * @param {MemoryMap} memMap
+ * @param {number} pageSize
+ * @returns {{ memMap: MemoryMap, pages: number, bytes: number }} The new memory map
+ *   and the number of removed pages and bytes
+ */
+function trimErasedPages (memMap, pageSize) {
+  const trimmed = new MemoryMap();
+  let pages = 0;
+  let bytes = 0;
+
+  for (const r of memMapRanges(memMap)) {
+    for (let pageAddr = r.start - (r.start % pageSize); pageAddr <= r.end; pageAddr += pageSize) {
+      const start = Math.max(pageAddr, r.start);
+      const end = Math.min(pageAddr + pageSize - 1, r.end);
+      const data = memMap.slicePad(start, end - start + 1, 0xFF);
+      if (data.every((b) => b === 0xFF)) {
+        pages++;
+        bytes += data.length;
+      } else {
+        trimmed.set(start, data);
+      }
+    }
+  }
+
+  return { memMap: trimmed.join(), pages: pages, bytes: bytes };
+}
+
+/**
+ * Convert a memory map into a raw binary image.
+ * The image starts at the lowest address in the memory map, gaps are filled with 0xFF.
+ * @param {MemoryMap} memMap
+ * @returns {Buffer}
+ */
+function toBinary (memMap) {
+  const { start, end } = memMapBounds(memMap);
+  return Buffer.from(memMap.slicePad(start, end - start, 0xFF));
+}
+
+function srecRecord (type, addrBytes, addr, data) {
+  const bytes = [ addrBytes + data.length + 1 ];
+  for (let i = addrBytes - 1; i >= 0; i--) {
+    bytes.push((addr >>> (i * 8)) & 0xFF);
+  }
+  for (const b of data) {
+    bytes.push(b);
+  }
+
+  let sum = 0;
+  for (const b of bytes) {
+    sum += b;
+  }
+  bytes.push(~sum & 0xFF);
+
+  return 'S' + type + bytes.map((b) => (b < 0x10 ? '0' : '') + b.toString(16).toUpperCase()).join('');
+}
+
+/**
+ * Convert a memory map into Motorola S-record format.
+ * The address size (S1/S2/S3) is chosen by the highest address.
+ * @param {MemoryMap} memMap
+ * @returns {string}
+ */
+function toSrec (memMap) {
+  const { end } = memMapBounds(memMap);
+
+  // select the record types by the needed address size
+  let addrBytes = 2, dataType = 1, termType = 9;
+  if (end - 1 > 0xFFFFFF) {
+    addrBytes = 4; dataType = 3; termType = 7;
+  } else if (end - 1 > 0xFFFF) {
+    addrBytes = 3; dataType = 2; termType = 8;
+  }
+
+  const lines = [ srecRecord(0, 2, 0x0000, Array.from(Buffer.from('mcp-can-boot', 'ascii'))) ];
+  let count = 0;
+  const keys = Array.from(memMap.keys()).sort((a, b) => a - b);
+  for (const addr of keys) {
+    const block = memMap.get(addr);
+    for (let offset = 0; offset < block.length; offset += SREC_BYTES_PER_RECORD) {
+      lines.push(srecRecord(dataType, addrBytes, addr + offset, block.subarray(offset, offset + SREC_BYTES_PER_RECORD)));
+      count++;
+    }
+  }
+  if (count <= 0xFFFF) {
+    lines.push(srecRecord(5, 2, count, []));
+  }
+  lines.push(srecRecord(termType, addrBytes, 0x0000, []));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a Motorola S-record file into a memory map.
+ * Only the data records (S1, S2, S3) are used.
+ * @param {string} text
+ * @returns {MemoryMap}
+ */
+function fromSrec (text) {
+  const memMap = new MemoryMap();
+  const lines = text.split(/\r?\n/);
+
+  for (let lineNum = 1; lineNum <= lines.length; lineNum++) {
+    const line = lines[lineNum - 1].trim();
+    if (line.length === 0) continue;
+
+    const match = line.match(/^S([0-9])((?:[0-9A-Fa-f]{2})+)$/);
+    if (!match) {
+      throw new FlashAppError(`Invalid S-record file: Malformed record in line ${lineNum}`);
+    }
+    const type = parseInt(match[1], 10);
+    const bytes = Buffer.from(match[2], 'hex');
+    if (bytes[0] !== bytes.length - 1) {
+      throw new FlashAppError(`Invalid S-record file: Wrong byte count in line ${lineNum}`);
+    }
+    let sum = 0;
+    for (let i = 0; i < bytes.length - 1; i++) {
+      sum += bytes[i];
+    }
+    if ((~sum & 0xFF) !== bytes[bytes.length - 1]) {
+      throw new FlashAppError(`Invalid S-record file: Wrong checksum in line ${lineNum}`);
+    }
+
+    if (type < 1 || type > 3) continue; // header, count and termination records
+
+    const addrBytes = type + 1;
+    let addr = 0;
+    for (let i = 1; i <= addrBytes; i++) {
+      addr = (addr * 256) + bytes[i];
+    }
+    memMap.set(addr, Uint8Array.from(bytes.subarray(1 + addrBytes, bytes.length - 1)));
+  }
+
+  return memMap.join();
+}
+
+/**
+ * Check if the given data starts with the ELF magic bytes.
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isElf (data) {
+  return data.length >= 4 && ELF_MAGIC.every((b, i) => data[i] === b);
+}
+
+/**
+ * Check if the given data looks like an Intel HEX file.
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isIntelHex (data) {
+  return /^\s*:[0-9A-Fa-f]{10}/.test(data.toString('latin1', 0, 64));
+}
+
+/**
+ * Extract the loadable flash contents of an (AVR) ELF file.
+ *
+ * The load addresses (LMA) of the program headers are used, so the `.data`
+ * section is placed in flash right after `.text` like `avr-objcopy` does.
+ * Data memory segments like `.eeprom` or `.fuse` are skipped.
+ *
+ * @param {Buffer} data
+ * @returns {MemoryMap}
+ */
+function fromElf (data) {
+  if (!isElf(data)) {
+    throw new FlashAppError('Invalid ELF file: Missing ELF magic bytes');
+  }
+  if (data[4] !== 1 || data[5] !== 1) {
+    throw new FlashAppError('Invalid ELF file: Only 32 bit little endian ELF files are supported');
+  }
+
+  // everything read from the file must be within it, a truncated file would flash only a part of the image
+  const checkBounds = (end, what) => {
+    if (end > data.length) {
+      throw new FlashAppError(`Invalid ELF file: truncated ${what} (${end} bytes needed, file has ${data.length} bytes)`);
+    }
+  };
+  checkBounds(ELF_HEADER_SIZE, 'header');
+
+  const blocks = [];
+  const phoff = data.readUInt32LE(0x1C);
+  const phentsize = data.readUInt16LE(0x2A);
+  const phnum = data.readUInt16LE(0x2C);
+  if (phnum > 0 && phentsize < ELF_PH_SIZE) {
+    throw new FlashAppError(`Invalid ELF file: Program header size ${phentsize} is too small`);
+  }
+
+  for (let i = 0; i < phnum; i++) {
+    const ph = phoff + i * phentsize;
+    checkBounds(ph + phentsize, `program header ${i}`);
+    const type = data.readUInt32LE(ph);
+    const offset = data.readUInt32LE(ph + 4);
+    const paddr = data.readUInt32LE(ph + 12);
+    const filesz = data.readUInt32LE(ph + 16);
+
+    if (type !== ELF_PT_LOAD || filesz === 0 || paddr >= AVR_DATA_MEMORY_OFFSET) continue;
+    checkBounds(offset + filesz, `segment ${i}`);
+    blocks.push([ paddr, data.subarray(offset, offset + filesz) ]);
+  }
+
+  if (phnum === 0) {
+    // no program headers... use the allocated sections instead
+    const shoff = data.readUInt32LE(0x20);
+    const shentsize = data.readUInt16LE(0x2E);
+    const shnum = data.readUInt16LE(0x30);
+    if (shnum > 0 && shentsize < ELF_SH_SIZE) {
+      throw new FlashAppError(`Invalid ELF file: Section header size ${shentsize} is too small`);
+    }
+
+    for (let i = 0; i < shnum; i++) {
+      const sh = shoff + i * shentsize;
+      checkBounds(sh + shentsize, `section header ${i}`);
+      const type = data.readUInt32LE(sh + 4);
+      const flags = data.readUInt32LE(sh + 8);
+      const addr = data.readUInt32LE(sh + 12);
+      const offset = data.readUInt32LE(sh + 16);
+      const size = data.readUInt32LE(sh + 20);
+
+      if (type !== ELF_SHT_PROGBITS || !(flags & ELF_SHF_ALLOC) || size === 0 || addr >= AVR_DATA_MEMORY_OFFSET) continue;
+      checkBounds(offset + size, `section ${i}`);
+      blocks.push([ addr, data.subarray(offset, offset + size) ]);
+    }
+  }
+
+  if (blocks.length === 0) {
+    throw new FlashAppError('Invalid ELF file: No loadable flash contents found');
+  }
+
+  blocks.sort((a, b) => a[0] - b[0]);
+  const memMap = new MemoryMap();
+  for (const [ addr, block ] of blocks) {
+    memMap.set(addr, Uint8Array.from(block));
+  }
+  return memMap.join();
+}
+
+/**
+ * Load a firmware image in one of the input formats.
+ *
+ * If no format is given, it is detected by the magic bytes (ELF), the file
+ * extension or the content (Intel HEX). Everything else is handled as raw binary.
+ *
+ * @param {Buffer|string} data The file contents
+ * @param {Object} [options]
+ * @param {string} [options.format] One of `hex`, `bin`, `srec` or `elf`
+ * @param {string} [options.filename] Name of the file to detect the format by its extension
+ * @param {number} [options.baseAddress=0] Start address of raw binary images
+ * @returns {MemoryMap}
+ */
+function loadImage (data, options) {
+  options = options || {};
+  if (typeof data === 'string') {
+    data = Buffer.from(data, 'latin1');
+  }
+
+  let format = options.format;
+  if (!format) {
+    if (isElf(data)) {
+      format = FORMAT_ELF;
+    } else {
+      format = (options.filename && formatFromFilename(options.filename)) || (isIntelHex(data) ? FORMAT_HEX : FORMAT_BIN);
+    }
+  }
+
+  switch (format) {
+    case FORMAT_HEX:
+      return MemoryMap.fromHex(data.toString('latin1'));
+    case FORMAT_SREC:
+      return fromSrec(data.toString('latin1'));
+    case FORMAT_ELF:
+      return fromElf(data);
+    case FORMAT_BIN: {
+      const memMap = new MemoryMap();
+      memMap.set(options.baseAddress || 0, Uint8Array.from(data));
+      return memMap;
+    }
+    default:
+      throw new FlashAppError(`The file format ${format} is not supported as input!`);
+  }
+}
+
+/**
+ * Convert a memory map into the given file format.
+ * @param {MemoryMap} memMap
+ * @param {string} format One of `hex`, `bin` or `srec`
+ * @returns {Buffer}
+ */
+function formatMemMap (memMap, format) {
+  switch (format) {
+    case FORMAT_HEX:
+      return Buffer.from(memMap.asHexString() + '\n', 'latin1');
+    case FORMAT_BIN:
+      return toBinary(memMap);
+    case FORMAT_SREC:
+      return Buffer.from(toSrec(memMap), 'latin1');
+    default:
+      throw new FlashAppError(`Unknown file format ${format}!`);
+  }
+}
+
+module.exports = {
+  FORMAT_HEX,
+  FORMAT_BIN,
+  FORMAT_SREC,
+  FORMAT_ELF,
+  FORMATS,
+  OUTPUT_FORMATS,
+  formatFromFilename,
+  formatMemMap,
+  fromElf,
+  fromSrec,
+  isElf,
+  isIntelHex,
+  loadImage,
+  memMapBounds,
+  memMapRanges,
+  toBinary,
+  toSrec,
+  trimErasedPages,
+};
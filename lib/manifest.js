@@ -0,0 +1,80 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { EXIT_CODES, FlashAppError } = require('./errors');
+const { loadImage } = require('./formats');
+const { parseNumber } = require('./utils');
+
+// options of a node which may be given as hex/decimal string
+const NUMBER_OPTIONS = [ 'mcuId', 'canIdMcu', 'canIdRemote', 'baseAddress', 'patchChecksum' ];
+
+/**
+ * Load a manifest file (JSON or YAML) describing multiple nodes to flash.
+ *
+ * The manifest contains a list of `nodes` and optional `defaults` applied to all nodes.
+ * Each node accepts the options of the `FlashApp` and a `file` with the firmware image to flash,
+ * relative to the manifest file. The image (Intel HEX, raw binary or ELF, see `format` and
+ * `baseAddress`) is loaded into the `hex` option.
+ *
+ * @param {string} file Path to the manifest file
+ * @returns {{ concurrent: boolean, nodes: Object[] }}
+ */
+function loadManifest (file) {
+  let manifest;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    manifest = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new FlashAppError(`Failed to load manifest file ${file}: ${err.message}`);
+  }
+
+  if (!manifest || !Array.isArray(manifest.nodes) || manifest.nodes.length === 0) {
+    throw new FlashAppError(`Invalid manifest file ${file}: A list of nodes must be provided`);
+  }
+
+  const baseDir = path.dirname(file);
+  const nodes = manifest.nodes.map((def, idx) => {
+    const node = Object.assign({}, manifest.defaults, def);
+
+    for (const key of NUMBER_OPTIONS) {
+      if (node[key] !== undefined) {
+        node[key] = parseNumber(node[key]);
+      }
+    }
+    if (typeof node.mcuId !== 'number' || isNaN(node.mcuId)) {
+      throw new FlashAppError(`Invalid manifest file ${file}: Node ${idx + 1} has no valid mcuId`);
+    }
+    if (!node.file) {
+      throw new FlashAppError(`Invalid manifest file ${file}: Node ${idx + 1} has no file`);
+    }
+
+    node.file = path.resolve(baseDir, node.file);
+    if (!fs.existsSync(node.file)) {
+      throw new FlashAppError(`Invalid manifest file ${file}: Input file ${node.file} of node ${idx + 1} does not exist`, EXIT_CODES.IO_ERROR);
+    }
+    try {
+      node.hex = loadImage(fs.readFileSync(node.file), { format: node.format, baseAddress: node.baseAddress, filename: node.file });
+    } catch (err) {
+      throw new FlashAppError(`Invalid manifest file ${file}: Failed to load input file ${node.file} of node ${idx + 1}: ${err.message}`);
+    }
+
+    return node;
+  });
+
+  return {
+    concurrent: !!manifest.concurrent,
+    nodes: nodes,
+  };
+}
+
+module.exports = {
+  loadManifest,
+};
@@ -0,0 +1,302 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Handlers of the bootloader command versions.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const {
+  CAN_DATA_BYTE_LEN_AND_ADDR,
+  CMD_PING,
+  CMD_FLASH_INIT,
+  CMD_FLASH_SET_ADDRESS,
+  CMD_FLASH_DATA,
+  CMD_FLASH_DONE,
+  CMD_FLASH_DONE_VERIFY,
+  CMD_FLASH_ERASE,
+  CMD_FLASH_READ,
+  CMD_MEMORY_SELECT,
+  CMD_START_APP,
+} = require('./constants');
+const { EXIT_CODES, FlashAppError } = require('./errors');
+const { hexString } = require('./utils');
+
+/**
+ * Handler of the commands of the first bootloader command version.
+ *
+ * A handler builds the 8 data bytes of the requests sent to the MCU and parses
+ * the responses. Newer command versions extend the handler of the previous version
+ * and announce their additional commands by the `capabilities`.
+ */
+class BootloaderProtocolV1 {
+
+  /**
+   * Command version handled by this class.
+   */
+  static get version () {
+    return 0x01;
+  }
+
+  /**
+   * Optional features supported by this command version:
+   * `read` (reading the flash), `erase` (erasing the whole flash),
+   * `eeprom` (reading and writing the EEPROM) and `pipelined` (multiple data frames in flight).
+   */
+  static get capabilities () {
+    return { read: true, erase: true, eeprom: false, pipelined: false };
+  }
+
+  /**
+   * @param {number} mcuId ID of the MCU bootloader
+   */
+  constructor (mcuId) {
+    this.mcuId = [ (mcuId >> 8) & 0xFF, mcuId & 0xFF ];
+  }
+
+  get version () {
+    return this.constructor.version;
+  }
+
+  get capabilities () {
+    return this.constructor.capabilities;
+  }
+
+  /**
+   * Check if the command version supports the given capability.
+   * @param {string} capability
+   * @returns {boolean}
+   */
+  supports (capability) {
+    return !!this.capabilities[capability];
+  }
+
+  /**
+   * Build the data bytes of a request to the MCU.
+   * @param {number} cmd
+   * @param {number} [lenAndAddr=0] Value of the length and address byte
+   * @param {number[]} [bytes] Up to four bytes of payload
+   * @returns {number[]}
+   */
+  frame (cmd, lenAndAddr = 0x00, bytes = []) {
+    const data = [ this.mcuId[0], this.mcuId[1], cmd, lenAndAddr, 0x00, 0x00, 0x00, 0x00 ];
+    for (let i = 0; i < bytes.length && i < 4; i++) {
+      data[4 + i] = bytes[i];
+    }
+    return data;
+  }
+
+  addressFrame (cmd, addr) {
+    return this.frame(cmd, 0x00, [ (addr >> 24) & 0xFF, (addr >> 16) & 0xFF, (addr >> 8) & 0xFF, addr & 0xFF ]);
+  }
+
+  ping () {
+    return this.frame(CMD_PING);
+  }
+
+  /**
+   * Build the flash init request.
+   * The requested window is only sent by command versions supporting pipelined transfers.
+   * @param {number[]} signature
+   */
+  flashInit (signature) {
+    return this.frame(CMD_FLASH_INIT, 0x00, [ signature[0], signature[1], signature[2], 0x00 ]);
+  }
+
+  setAddress (addr) {
+    return this.addressFrame(CMD_FLASH_SET_ADDRESS, addr);
+  }
+
+  /**
+   * Build a data request with up to four bytes to write at the given address.
+   */
+  data (addr, bytes) {
+    return this.frame(CMD_FLASH_DATA, (bytes.length << 5) | (addr & 0b00011111), bytes);
+  }
+
+  read (addr) {
+    return this.addressFrame(CMD_FLASH_READ, addr);
+  }
+
+  done (verify) {
+    return this.frame(verify ? CMD_FLASH_DONE_VERIFY : CMD_FLASH_DONE);
+  }
+
+  erase () {
+    return this.frame(CMD_FLASH_ERASE);
+  }
+
+  startApp () {
+    return this.frame(CMD_START_APP);
+  }
+
+  /**
+   * Build the memory select request, not supported before command version 0x02.
+   */
+  memorySelect () {
+    throw new FlashAppError(`Selecting the memory is not supported by the bootloader command version ${hexString(this.version)}`, EXIT_CODES.VERSION_MISMATCH);
+  }
+
+  /**
+   * Get the number of data frames the bootloader accepts in flight, always one before command version 0x03.
+   * @returns {number}
+   */
+  acceptedWindow () {
+    return 1;
+  }
+
+  /**
+   * Get the address of a response (e.g. flash ready or address error).
+   * @param {Buffer|number[]} data
+   * @returns {number}
+   */
+  address (data) {
+    return ((data[4] << 24) | (data[5] << 16) | (data[6] << 8) | data[7]) >>> 0;
+  }
+
+  /**
+   * Get the number of bytes written or read of a response.
+   * @param {Buffer|number[]} data
+   * @returns {number}
+   */
+  byteCount (data) {
+    return data[CAN_DATA_BYTE_LEN_AND_ADDR] >> 5;
+  }
+
+  /**
+   * Get the lower five bits of the address of read data.
+   * @param {Buffer|number[]} data
+   * @returns {number}
+   */
+  addressPart (data) {
+    return data[CAN_DATA_BYTE_LEN_AND_ADDR] & 0b00011111;
+  }
+}
+
+/**
+ * Handler of the proposed command version 0x02 adding the selection of the memory (flash or EEPROM).
+ *
+ * Not implemented by the MCP-CAN-Boot firmware yet. The memory type is sent in byte 4
+ * of the memory select and the bootloader responds with a flash ready.
+ */
+class BootloaderProtocolV2 extends BootloaderProtocolV1 {
+
+  static get version () {
+    return 0x02;
+  }
+
+  static get capabilities () {
+    return Object.assign(super.capabilities, { eeprom: true });
+  }
+
+  /**
+   * @param {number} memory Memory type like `MEMORY_FLASH` or `MEMORY_EEPROM`
+   */
+  memorySelect (memory) {
+    return this.frame(CMD_MEMORY_SELECT, 0x00, [ memory ]);
+  }
+}
+
+/**
+ * Handler of the proposed command version 0x03 adding pipelined data transfers.
+ *
+ * Not implemented by the MCP-CAN-Boot firmware yet. The flash app requests a window
+ * (number of data frames in flight) in byte 7 of the flash init and the bootloader
+ * responds with the accepted window in byte 3 of the flash ready. Each data frame is
+ * acknowledged by a flash ready with the address behind the written data.
+ */
+class BootloaderProtocolV3 extends BootloaderProtocolV2 {
+
+  static get version () {
+    return 0x03;
+  }
+
+  static get capabilities () {
+    return Object.assign(super.capabilities, { pipelined: true });
+  }
+
+  /**
+   * @param {number[]} signature
+   * @param {number} [window] Number of data frames the flash app wants to have in flight
+   */
+  flashInit (signature, window) {
+    return this.frame(CMD_FLASH_INIT, 0x00, [ signature[0], signature[1], signature[2], Math.min(window || 1, 0xFF) ]);
+  }
+
+  /**
+   * @param {Buffer|number[]} data Flash ready response to the flash init
+   * @returns {number}
+   */
+  acceptedWindow (data) {
+    return Math.max(data[CAN_DATA_BYTE_LEN_AND_ADDR], 1);
+  }
+}
+
+// handlers of all supported command versions
+const PROTOCOLS = {};
+for (const protocol of [ BootloaderProtocolV1, BootloaderProtocolV2, BootloaderProtocolV3 ]) {
+  PROTOCOLS[protocol.version] = protocol;
+}
+
+const SUPPORTED_VERSIONS = Object.keys(PROTOCOLS).map(Number).sort((a, b) => a - b);
+
+/**
+ * Create the handler for a bootloader command version.
+ *
+ * For an unknown version `null` is returned unless `fallback` is set. Then the
+ * handler of the newest older version (or the oldest version) is used.
+ *
+ * @param {number} version Command version reported by the bootloader
+ * @param {number} mcuId ID of the MCU bootloader
+ * @param {boolean} [fallback] Use a handler of another version if the version is unknown
+ * @returns {BootloaderProtocolV1|null}
+ */
+function createProtocol (version, mcuId, fallback) {
+  let Protocol = PROTOCOLS[version];
+  if (!Protocol && fallback) {
+    const older = SUPPORTED_VERSIONS.filter((v) => v < version);
+    Protocol = PROTOCOLS[older.length > 0 ? older[older.length - 1] : SUPPORTED_VERSIONS[0]];
+  }
+  return Protocol ? new Protocol(mcuId) : null;
+}
+
+/**
+ * Get the capabilities of a command version.
+ * @param {number} version
+ * @returns {Object<string, boolean>|null} `null` if the version is not supported
+ */
+function getCapabilities (version) {
+  return PROTOCOLS[version] ? PROTOCOLS[version].capabilities : null;
+}
+
+/**
+ * Get the first command version supporting the given capability.
+ * @param {string} capability
+ * @returns {number|null}
+ */
+function capabilityVersion (capability) {
+  const version = SUPPORTED_VERSIONS.find((v) => PROTOCOLS[v].capabilities[capability]);
+  return version !== undefined ? version : null;
+}
+
+/**
+ * Get the names of the supported capabilities like `read, erase, eeprom`.
+ * @param {Object<string, boolean>} capabilities
+ * @returns {string}
+ */
+function capabilitiesString (capabilities) {
+  return Object.keys(capabilities).filter((key) => capabilities[key]).join(', ');
+}
+
+module.exports = {
+  BootloaderProtocolV1,
+  BootloaderProtocolV2,
+  BootloaderProtocolV3,
+  PROTOCOLS,
+  SUPPORTED_VERSIONS,
+  capabilitiesString,
+  capabilityVersion,
+  createProtocol,
+  getCapabilities,
+};
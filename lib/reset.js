@@ -0,0 +1,159 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Parsing of the CAN frames and sequences used to reset the MCU into the bootloader.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+
+const { EXIT_CODES, FlashAppError } = require('./errors');
+
+// maximum CAN-IDs of standard and extended frames
+const CAN_ID_SFF_MAX = 0x7FF;
+const CAN_ID_EFF_MAX = 0x1FFFFFFF;
+
+// delay in a reset sequence like `100` or `100ms`
+const DELAY_REGEX = /^(\d+)(ms)?$/i;
+
+/**
+ * Parse a CAN frame in the format `<can_id>#{hex_data}` like used by `cansend`.
+ *
+ * The CAN-ID must be given as three hex digits for standard frames or eight
+ * hex digits for extended frames, followed by up to eight data bytes as pairs of hex digits.
+ *
+ * @param {string} str
+ * @param {string} [what='CAN frame'] Description of the frame used in error messages
+ * @returns {{ id: number, ext: boolean, rtr: boolean, data: Buffer }}
+ * @throws {FlashAppError} If the frame is malformed
+ */
+function parseCanFrame (str, what = 'CAN frame') {
+  const parts = str.split('#');
+  if (parts.length !== 2) {
+    throw new FlashAppError(`Invalid ${what} "${str}": The format must be <can_id>#{hex_data}`);
+  }
+  const [ canIdStr, dataStr ] = parts;
+
+  if ((canIdStr.length !== 3 && canIdStr.length !== 8) || !/^[0-9A-Fa-f]+$/.test(canIdStr)) {
+    throw new FlashAppError(`Invalid ${what} "${str}": The can_id is not valid. A three digits standard frame or eight digits extended frame hex id must be provided.`);
+  }
+  const ext = canIdStr.length === 8;
+  const canId = parseInt(canIdStr, 16);
+  if (canId > (ext ? CAN_ID_EFF_MAX : CAN_ID_SFF_MAX)) {
+    throw new FlashAppError(`Invalid ${what} "${str}": The can_id exceeds the maximum of ${ext ? '1FFFFFFF' : '7FF'}.`);
+  }
+
+  if (!/^[0-9A-Fa-f]*$/.test(dataStr)) {
+    throw new FlashAppError(`Invalid ${what} "${str}": The data bytes must be provided as hex numbers.`);
+  }
+  if (dataStr.length % 2 !== 0) {
+    throw new FlashAppError(`Invalid ${what} "${str}": The data must be given as pairs of hex digits, ${dataStr.length} digits given.`);
+  }
+  if (dataStr.length > 16) {
+    throw new FlashAppError(`Invalid ${what} "${str}": At most 8 data bytes are allowed, ${dataStr.length / 2} given.`);
+  }
+
+  return {
+    id: canId,
+    ext: ext,
+    rtr: false,
+    data: Buffer.from(dataStr, 'hex'),
+  };
+}
+
+/**
+ * Parse a reset sequence.
+ *
+ * The sequence consists of CAN frames (`<can_id>#{hex_data}`) and delays in ms
+ * (`100` or `100ms`) separated by whitespace, commas or new lines. Lines starting
+ * with `;` or `//` are comments. Instead of a string an array of frames (strings)
+ * and delays (numbers) may be given.
+ *
+ * @param {string|Array<string|number>} sequence
+ * @returns {Array<{ frame: Object }|{ delay: number }>}
+ * @throws {FlashAppError} If the sequence contains malformed items or no frame
+ */
+function parseResetSequence (sequence) {
+  let items = sequence;
+  if (!Array.isArray(items)) {
+    items = String(items)
+      .split(/\r?\n/)
+      .filter((line) => !/^\s*(;|\/\/)/.test(line))
+      .join(' ')
+      .split(/[\s,]+/)
+      .filter((item) => item !== '');
+  }
+
+  const steps = items.map((item, idx) => {
+    if (typeof item === 'number') {
+      if (!(item >= 0)) {
+        throw new FlashAppError(`Reset sequence format error! Item ${idx + 1}: The delay must be a positive number.`);
+      }
+      return { delay: item };
+    }
+
+    const delay = String(item).match(DELAY_REGEX);
+    if (delay) {
+      return { delay: parseInt(delay[1], 10) };
+    }
+
+    try {
+      return { frame: parseCanFrame(String(item), 'reset frame') };
+    } catch (err) {
+      throw new FlashAppError(`Reset sequence format error! Item ${idx + 1}: ${err.message}`);
+    }
+  });
+
+  if (!steps.some((step) => step.frame)) {
+    throw new FlashAppError('Reset sequence format error! At least one CAN frame must be provided.');
+  }
+
+  return steps;
+}
+
+/**
+ * Load a reset sequence from a file with one frame or delay per line.
+ * @param {string} file
+ * @returns {string}
+ */
+function loadResetFile (file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new FlashAppError(`Failed to load reset file ${file}: ${err.message}`, EXIT_CODES.IO_ERROR);
+  }
+}
+
+/**
+ * Parse the acknowledge frame expected from the app after a reset request.
+ *
+ * The format is `<can_id>#{hex_data}` where the data is optional and only
+ * the given bytes are compared with the begin of the received frame.
+ *
+ * @param {string} str
+ * @returns {{ id: number, ext: boolean, data: Buffer }}
+ */
+function parseResetAck (str) {
+  return parseCanFrame(str.includes('#') ? str : `${str}#`, 'reset acknowledge frame');
+}
+
+/**
+ * Check if a received CAN message matches the expected reset acknowledge frame.
+ * @param {{ id: number, ext: boolean, data: Buffer }} ack
+ * @param {{ id: number, ext: boolean, data: Buffer }} msg
+ * @returns {boolean}
+ */
+function matchesResetAck (ack, msg) {
+  return msg.id === ack.id && !!msg.ext === ack.ext && msg.data.length >= ack.data.length &&
+    ack.data.equals(msg.data.slice(0, ack.data.length));
+}
+
+module.exports = {
+  loadResetFile,
+  matchesResetAck,
+  parseCanFrame,
+  parseResetAck,
+  parseResetSequence,
+};
@@ -0,0 +1,210 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const EventEmitter = require('events');
+
+const {
+  CAN_DATA_BYTE_MCU_ID_MSB,
+  CAN_DATA_BYTE_MCU_ID_LSB,
+  CAN_DATA_BYTE_CMD,
+  CAN_ID_MCU_TO_REMOTE_DEFAULT,
+  CAN_ID_REMOTE_TO_MCU_DEFAULT,
+  CAN_PING_INTERVAL_DEFAULT,
+  CMD_PING,
+  CMD_BOOTLOADER_START,
+} = require('./constants');
+const { EXIT_CODES, FlashAppError } = require('./errors');
+const { getDefaultDatabase } = require('./devices');
+const { getCapabilities } = require('./protocol');
+const { SocketCanTransport } = require('./transports');
+const { hexString, signatureString } = require('./utils');
+
+const SCAN_DURATION_DEFAULT = 5000;
+
+/**
+ * Listen on the bus for bootloader start messages of any MCU ID.
+ *
+ * The scan is started using `run()` which returns a Promise resolving with
+ * the list of found bootloaders after the scan duration. The following events are emitted:
+ *
+ * - `log` (level, message) with level `info`, `warn` or `verbose`
+ * - `found` (bootloader) when a bootloader of a new MCU ID is found
+ */
+class BusScanner extends EventEmitter {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.duration=5000] Time (ms) to listen for bootloader start messages
+   * @param {string} [options.iface='can0'] CAN interface to use
+   * @param {CanTransport} [options.transport] CAN transport to use instead of a SocketCAN channel on `iface`
+   * @param {number} [options.canIdMcu] CAN-ID for messages from MCU to remote
+   * @param {number} [options.canIdRemote] CAN-ID for messages from remote to MCU
+   * @param {boolean} [options.sff] Use Standard Frame Format (SFF) for the CAN-IDs
+   * @param {boolean|number} [options.ping] Send a ping (to MCU ID 0x0000) in the given interval (ms)
+   * @param {DeviceDatabase} [options.devices] Database of known devices, defaults to the built-in devices
+   */
+  constructor (options) {
+    super();
+
+    this.options = Object.assign({
+      duration: SCAN_DURATION_DEFAULT,
+      iface: 'can0',
+      canIdMcu: CAN_ID_MCU_TO_REMOTE_DEFAULT,
+      canIdRemote: CAN_ID_REMOTE_TO_MCU_DEFAULT,
+    }, options);
+
+    if (this.options.ping === true) {
+      this.options.ping = CAN_PING_INTERVAL_DEFAULT;
+    }
+
+    this.devices = this.options.devices || getDefaultDatabase();
+    this.found = new Map();
+    this.promise = null;
+  }
+
+  /**
+   * Start the scan.
+   * @returns {Promise<Object[]>} Resolves with the found bootloaders sorted by MCU ID.
+   *   Each entry contains `mcuId`, `signature`, `device` (or `null` if unknown), `version`,
+   *   `capabilities` of the command version (or `null` if the version is not supported),
+   *   `count` (number of received start messages), `firstSeen` and `lastSeen`.
+   */
+  run () {
+    if (this.promise) {
+      return this.promise;
+    }
+
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+
+      this.ownTransport = !this.options.transport;
+      this.transport = this.options.transport || new SocketCanTransport(this.options.iface);
+      this.messageHandler = this.handleCanMsg.bind(this);
+      this.transport.on('message', this.messageHandler);
+
+      if (this.ownTransport) {
+        try {
+          this.transport.start();
+        } catch (err) {
+          this.finish(new FlashAppError(`Failed to open CAN interface ${this.options.iface}: ${err.message}`, EXIT_CODES.IO_ERROR));
+          return;
+        }
+      }
+
+      if (this.options.ping) {
+        this.log('info', `Sending a ping message every ${this.options.ping} ms.`);
+        this.pingInterval = setInterval(() => {
+          this.transport.send({
+            id: this.options.canIdRemote,
+            ext: !this.options.sff,
+            rtr: false,
+            data: Buffer.from([ 0x00, 0x00, CMD_PING, 0x00, 0x00, 0x00, 0x00, 0x00 ])
+          });
+        }, this.options.ping);
+      }
+
+      this.log('info', `Scanning for bootloaders for ${this.options.duration} ms ...`);
+      this.scanTimeout = setTimeout(() => this.finish(null), this.options.duration);
+    });
+
+    return this.promise;
+  }
+
+  handleCanMsg (msg) {
+    if (msg.data.length !== 8) return;
+    if (msg.id !== this.options.canIdMcu) return;
+    if (msg.data[CAN_DATA_BYTE_CMD] !== CMD_BOOTLOADER_START) return;
+
+    const mcuId = msg.data[CAN_DATA_BYTE_MCU_ID_LSB] + (msg.data[CAN_DATA_BYTE_MCU_ID_MSB] << 8);
+    const signature = [ msg.data[4], msg.data[5], msg.data[6] ];
+    const now = Date.now();
+
+    let entry = this.found.get(mcuId);
+    if (entry) {
+      entry.count++;
+      entry.lastSeen = now;
+      entry.signature = signature;
+      entry.version = msg.data[7];
+      entry.capabilities = getCapabilities(msg.data[7]);
+      return;
+    }
+
+    const detected = this.devices.getBySignature(signature);
+    entry = {
+      mcuId: mcuId,
+      signature: signature,
+      device: detected.length > 0 ? detected[0] : null,
+      version: msg.data[7],
+      capabilities: getCapabilities(msg.data[7]),
+      count: 1,
+      firstSeen: now,
+      lastSeen: now,
+    };
+    this.found.set(mcuId, entry);
+
+    this.log('verbose', `Found bootloader of MCU ID ${hexString(mcuId, 4)} with signature ${signatureString(signature)}`);
+    this.emit('found', entry);
+  }
+
+  log (level, message) {
+    this.emit('log', level, message);
+  }
+
+  finish (err) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+
+    if (this.scanTimeout) {
+      clearTimeout(this.scanTimeout);
+      this.scanTimeout = undefined;
+    }
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = undefined;
+    }
+    try {
+      this.transport.removeListener('message', this.messageHandler);
+      if (this.ownTransport) {
+        this.transport.stop();
+      }
+    } catch (e) {
+      this.log('warn', `Error at exit cleanup: ${e}`);
+    }
+
+    if (err) {
+      this.reject(err);
+    } else {
+      this.resolve(Array.from(this.found.values()).sort((a, b) => a.mcuId - b.mcuId));
+    }
+  }
+}
+
+/**
+ * Scan the bus for waiting bootloaders using the given options.
+ * @param {Object} [options] See the `BusScanner` constructor
+ * @param {Object<string, Function>} [listeners] Event listeners to attach to the scanner
+ * @returns {Promise<Object[]>}
+ */
+function scan (options, listeners) {
+  return new Promise((resolve) => {
+    const scanner = new BusScanner(options);
+    if (listeners) {
+      for (const event of Object.keys(listeners)) {
+        scanner.on(event, listeners[event]);
+      }
+    }
+    resolve(scanner.run());
+  });
+}
+
+module.exports = {
+  BusScanner,
+  scan,
+};
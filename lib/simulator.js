@@ -0,0 +1,419 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Software implementation of the MCU side of the MCP-CAN-Boot protocol.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const EventEmitter = require('events');
+
+const {
+  BOOTLOADER_CMD_VERSION,
+  CAN_DATA_BYTE_MCU_ID_MSB,
+  CAN_DATA_BYTE_MCU_ID_LSB,
+  CAN_DATA_BYTE_CMD,
+  CAN_DATA_BYTE_LEN_AND_ADDR,
+  CAN_ID_MCU_TO_REMOTE_DEFAULT,
+  CAN_ID_REMOTE_TO_MCU_DEFAULT,
+  CMD_BOOTLOADER_START,
+  CMD_FLASH_INIT,
+  CMD_FLASH_READY,
+  CMD_FLASH_SET_ADDRESS,
+  CMD_FLASH_ADDRESS_ERROR,
+  CMD_FLASH_DATA,
+  CMD_FLASH_DATA_ERROR,
+  CMD_FLASH_DONE,
+  CMD_FLASH_DONE_VERIFY,
+  CMD_FLASH_ERASE,
+  CMD_FLASH_READ,
+  CMD_FLASH_READ_DATA,
+  CMD_FLASH_READ_ADDRESS_ERROR,
+  CMD_MEMORY_SELECT,
+  CMD_START_APP,
+  MEMORY_FLASH,
+  MEMORY_EEPROM,
+  PIPELINE_WINDOW_MAX,
+} = require('./constants');
+const { loadDeviceInfo } = require('./devices');
+const { getCapabilities } = require('./protocol');
+const { hexString } = require('./utils');
+
+const SIM_STATE_IDLE     = 'idle';
+const SIM_STATE_WAITING  = 'waiting';
+const SIM_STATE_FLASHING = 'flashing';
+const SIM_STATE_APP      = 'app';
+
+const BOOTLOADER_SIZE_DEFAULT = 4096;
+const START_INTERVAL_DEFAULT = 500;
+
+/**
+ * Bootloader simulator speaking the MCP-CAN-Boot protocol on a CAN transport.
+ *
+ * The following events are emitted:
+ *
+ * - `log` (level, message) with level `info`, `warn` or `verbose`
+ * - `state` (state) when the simulator state changes
+ * - `appStarted` () when the simulated MCU leaves the bootloader
+ */
+class BootloaderSimulator extends EventEmitter {
+
+  /**
+   * @param {Object} options
+   * @param {CanTransport} options.transport The CAN transport to use
+   * @param {number} options.mcuId ID of the simulated MCU
+   * @param {string} [options.partno] Part number to get signature and flash size from
+   * @param {DeviceDatabase} [options.devices] Database of known devices, defaults to the built-in devices
+   * @param {number[]} [options.signature] Device signature (overrides the one of `partno`)
+   * @param {number} [options.flashSize] Flash size in bytes (overrides the one of `partno`)
+   * @param {number} [options.bootloaderSize=4096] Size of the bootloader section in bytes
+   * @param {number} [options.eepromSize] EEPROM size in bytes (overrides the one of `partno`)
+   * @param {number} [options.version] Bootloader command version to report
+   * @param {number} [options.canIdMcu] CAN-ID for messages from MCU to remote
+   * @param {number} [options.canIdRemote] CAN-ID for messages from remote to MCU
+   * @param {boolean} [options.sff] Use Standard Frame Format (SFF) for the CAN-IDs
+   * @param {number} [options.startInterval=500] Interval (ms) to repeat the bootloader start message, 0 to send it once
+   * @param {number} [options.window=8] Maximum number of flash data frames in flight to accept (command version 0x03)
+   * @param {number} [options.responseDelay=0] Delay (ms) of each response, e.g. to simulate the latency of a bus
+   * @param {Uint8Array} [options.flash] Initial flash content
+   * @param {Uint8Array} [options.eeprom] Initial EEPROM content
+   * @param {Object} [options.faults] Faults to inject
+   * @param {number} [options.faults.dropRx] Probability (0..1) to ignore a received frame
+   * @param {number} [options.faults.dropTx] Probability (0..1) to not send a response frame
+   * @param {number} [options.faults.dataErrorRate] Probability (0..1) to answer flash data with a data error
+   * @param {number} [options.faults.addressErrorAt] Address from which on flash data is rejected with an address error
+   * @param {number[]} [options.faults.wrongSignature] Signature to report in the bootloader start message
+   * @param {number} [options.faults.corruptAt] Address of a flash byte which will be stored inverted
+   * @param {Function} [options.faults.random] Random number generator to use instead of `Math.random`
+   */
+  constructor (options) {
+    super();
+
+    this.options = Object.assign({
+      bootloaderSize: BOOTLOADER_SIZE_DEFAULT,
+      version: BOOTLOADER_CMD_VERSION,
+      canIdMcu: CAN_ID_MCU_TO_REMOTE_DEFAULT,
+      canIdRemote: CAN_ID_REMOTE_TO_MCU_DEFAULT,
+      startInterval: START_INTERVAL_DEFAULT,
+      window: PIPELINE_WINDOW_MAX,
+      responseDelay: 0,
+    }, options);
+
+    this.faults = Object.assign({
+      dropRx: 0,
+      dropTx: 0,
+      dataErrorRate: 0,
+      addressErrorAt: null,
+      wrongSignature: null,
+      corruptAt: null,
+      random: Math.random,
+    }, this.options.faults);
+
+    const deviceInfo = this.options.partno ? loadDeviceInfo(this.options.partno, this.options.devices) : { signature: null, flashSize: 0, eepromSize: 0 };
+    this.signature = this.options.signature || deviceInfo.signature;
+    this.flashSize = this.options.flashSize || deviceInfo.flashSize;
+    this.eepromSize = (typeof this.options.eepromSize === 'number') ? this.options.eepromSize : (deviceInfo.eepromSize || 0);
+
+    if (!this.signature || !this.flashSize) {
+      throw new Error('The signature and flash size of the simulated MCU must be provided by a partno or explicitly!');
+    }
+    if (this.options.bootloaderSize >= this.flashSize) {
+      throw new Error('The bootloader section must be smaller than the flash!');
+    }
+
+    this.mcuId = [(this.options.mcuId >> 8) & 0xFF, this.options.mcuId & 0xFF];
+
+    // last address of the program space
+    this.flashendBL = this.flashSize - this.options.bootloaderSize - 1;
+
+    this.flash = new Uint8Array(this.flashSize).fill(0xFF);
+    if (this.options.flash) {
+      this.flash.set(this.options.flash.subarray(0, this.flashSize));
+    }
+
+    this.eeprom = new Uint8Array(this.eepromSize).fill(0xFF);
+    if (this.options.eeprom) {
+      this.eeprom.set(this.options.eeprom.subarray(0, this.eepromSize));
+    }
+
+    this.state = SIM_STATE_IDLE;
+    this.curAddr = 0x0000;
+    this.memory = MEMORY_FLASH; // memory selected for reading and writing
+    this.messageHandler = this.handleCanMsg.bind(this);
+  }
+
+  /**
+   * Attach to the transport and enter the bootloader.
+   */
+  start () {
+    this.options.transport.on('message', this.messageHandler);
+    this.enterBootloader();
+  }
+
+  /**
+   * Detach from the transport.
+   */
+  stop () {
+    this.clearStartInterval();
+    this.options.transport.removeListener('message', this.messageHandler);
+    this.setState(SIM_STATE_IDLE);
+  }
+
+  /**
+   * (Re)enter the bootloader like after a MCU reset.
+   */
+  enterBootloader () {
+    this.curAddr = 0x0000;
+    this.memory = MEMORY_FLASH;
+    this.setState(SIM_STATE_WAITING);
+    this.log('info', `Bootloader of MCU ID ${hexString(this.options.mcuId, 4)} started`);
+
+    this.sendBootloaderStart();
+    this.clearStartInterval();
+    if (this.options.startInterval > 0) {
+      this.startInterval = setInterval(() => this.sendBootloaderStart(), this.options.startInterval);
+    }
+  }
+
+  handleCanMsg (msg) {
+    if (msg.data.length !== 8) return;
+    if (msg.id !== this.options.canIdRemote) return;
+
+    const mcuid = msg.data[CAN_DATA_BYTE_MCU_ID_LSB] + (msg.data[CAN_DATA_BYTE_MCU_ID_MSB] << 8);
+    if (mcuid !== this.options.mcuId) return;
+
+    if (this.faults.dropRx && this.faults.random() < this.faults.dropRx) {
+      this.log('verbose', `Dropped received frame ${hexString(msg.data[CAN_DATA_BYTE_CMD])}`);
+      return;
+    }
+
+    const cmd = msg.data[CAN_DATA_BYTE_CMD];
+    const addr = ((msg.data[4] << 24) | (msg.data[5] << 16) | (msg.data[6] << 8) | msg.data[7]) >>> 0;
+
+    switch (this.state) {
+      case SIM_STATE_WAITING:
+        if (cmd !== CMD_FLASH_INIT) return;
+
+        // the flash app sends the expected signature which must match ours
+        if (msg.data[4] !== this.signature[0] || msg.data[5] !== this.signature[1] || msg.data[6] !== this.signature[2]) {
+          this.log('warn', 'Got flash init with a wrong device signature');
+          return;
+        }
+
+        this.clearStartInterval();
+        this.setState(SIM_STATE_FLASHING);
+        if ((getCapabilities(this.options.version) || {}).pipelined) {
+          // respond with the accepted number of data frames in flight
+          const accepted = Math.max(1, Math.min(msg.data[7], this.options.window));
+          this.log('verbose', `Accepting ${accepted} data frames in flight`);
+          this.send(CMD_FLASH_READY, accepted, this.addrBytes(this.curAddr));
+        } else {
+          this.sendReady(0);
+        }
+        break;
+
+      case SIM_STATE_FLASHING:
+        switch (cmd) {
+          case CMD_FLASH_INIT:
+            // like the firmware, a repeated flash init is ignored in flash mode
+            this.log('verbose', 'Ignoring repeated flash init');
+            break;
+
+          case CMD_MEMORY_SELECT:
+            if (!(getCapabilities(this.options.version) || {}).eeprom) {
+              this.log('warn', `Got unexpected command ${hexString(cmd)}`);
+              return;
+            }
+            if (msg.data[4] !== MEMORY_FLASH && (msg.data[4] !== MEMORY_EEPROM || this.eepromSize === 0)) {
+              this.log('warn', `Got selection of the unsupported memory type ${hexString(msg.data[4])}`);
+              this.send(CMD_FLASH_ADDRESS_ERROR, 0x00, this.addrBytes(0));
+              return;
+            }
+            this.memory = msg.data[4];
+            this.curAddr = 0;
+            this.log('info', `Selected ${this.memory === MEMORY_EEPROM ? 'EEPROM' : 'flash'}`);
+            this.sendReady(0);
+            break;
+
+          case CMD_FLASH_SET_ADDRESS:
+            if (addr > this.memoryEnd() || this.isFaultAddress(addr)) {
+              this.sendAddressError();
+              return;
+            }
+            this.curAddr = addr;
+            this.sendReady(0);
+            break;
+
+          case CMD_FLASH_DATA:
+            this.handleFlashData(msg.data);
+            break;
+
+          case CMD_FLASH_ERASE:
+            this.flash.fill(0xFF, 0, this.flashendBL + 1);
+            this.log('info', 'Flash erased');
+            this.sendReady(0);
+            break;
+
+          case CMD_FLASH_READ:
+            this.handleFlashRead(addr);
+            break;
+
+          case CMD_FLASH_DONE:
+            this.log('info', 'Flashing done');
+            this.startApp();
+            break;
+
+          case CMD_FLASH_DONE_VERIFY:
+            this.log('info', 'Flashing done, waiting for verify');
+            this.send(CMD_FLASH_DONE_VERIFY, 0x00, [0x00, 0x00, 0x00, 0x00]);
+            break;
+
+          case CMD_START_APP:
+            this.startApp();
+            break;
+
+          default:
+            this.log('warn', `Got unexpected command ${hexString(cmd)}`);
+        }
+        break;
+    }
+  }
+
+  handleFlashData (data) {
+    const byteCount = data[CAN_DATA_BYTE_LEN_AND_ADDR] >> 5;
+    const addrPart = data[CAN_DATA_BYTE_LEN_AND_ADDR] & 0b00011111;
+
+    if (byteCount > 4 || addrPart !== (this.curAddr & 0b00011111)
+      || (this.faults.dataErrorRate && this.faults.random() < this.faults.dataErrorRate)) {
+      this.log('verbose', `Flash data error at ${hexString(this.curAddr, 4)}`);
+      this.send(CMD_FLASH_DATA_ERROR, 0x00, this.addrBytes(this.curAddr));
+      return;
+    }
+
+    if (this.curAddr + byteCount - 1 > this.memoryEnd() || this.isFaultAddress(this.curAddr + byteCount - 1)) {
+      this.sendAddressError();
+      return;
+    }
+
+    const memory = this.memory === MEMORY_EEPROM ? this.eeprom : this.flash;
+    for (let i = 0; i < byteCount; i++) {
+      let byte = data[4 + i];
+      if (this.curAddr === this.faults.corruptAt) {
+        byte = ~byte & 0xFF;
+      }
+      memory[this.curAddr] = byte;
+      this.curAddr++;
+    }
+
+    this.sendReady(byteCount);
+  }
+
+  handleFlashRead (addr) {
+    const end = this.memoryEnd();
+    if (addr > end) {
+      this.send(CMD_FLASH_READ_ADDRESS_ERROR, 0x00, this.addrBytes(end));
+      return;
+    }
+
+    const memory = this.memory === MEMORY_EEPROM ? this.eeprom : this.flash;
+    const byteCount = Math.min(4, end - addr + 1);
+    const bytes = [0x00, 0x00, 0x00, 0x00];
+    for (let i = 0; i < byteCount; i++) {
+      bytes[i] = memory[addr + i];
+    }
+
+    this.send(CMD_FLASH_READ_DATA, (byteCount << 5) | (addr & 0b00011111), bytes);
+  }
+
+  isFaultAddress (addr) {
+    return this.memory === MEMORY_FLASH && typeof this.faults.addressErrorAt === 'number' && addr >= this.faults.addressErrorAt;
+  }
+
+  /**
+   * Get the last writable address of the selected memory.
+   */
+  memoryEnd () {
+    return this.memory === MEMORY_EEPROM ? this.eepromSize - 1 : this.flashendBL;
+  }
+
+  startApp () {
+    this.send(CMD_START_APP, 0x00, [0x00, 0x00, 0x00, 0x00]);
+    this.setState(SIM_STATE_APP);
+    this.log('info', 'Starting the app');
+    this.emit('appStarted');
+  }
+
+  sendBootloaderStart () {
+    const signature = this.faults.wrongSignature || this.signature;
+    this.send(CMD_BOOTLOADER_START, 0x00, [signature[0], signature[1], signature[2], this.options.version]);
+  }
+
+  sendReady (byteCount) {
+    this.send(CMD_FLASH_READY, (byteCount << 5) | (this.curAddr & 0b00011111), this.addrBytes(this.curAddr));
+  }
+
+  sendAddressError () {
+    this.log('verbose', `Flash address error at ${hexString(this.curAddr, 4)}`);
+    this.send(CMD_FLASH_ADDRESS_ERROR, 0x00, this.addrBytes(this.memoryEnd()));
+  }
+
+  addrBytes (addr) {
+    return [
+      (addr >> 24) & 0xFF,
+      (addr >> 16) & 0xFF,
+      (addr >> 8) & 0xFF,
+      addr & 0xFF
+    ];
+  }
+
+  send (cmd, lenAndAddr, bytes) {
+    if (this.faults.dropTx && this.faults.random() < this.faults.dropTx) {
+      this.log('verbose', `Dropped frame ${hexString(cmd)} to send`);
+      return;
+    }
+
+    const msg = {
+      id: this.options.canIdMcu,
+      ext: !this.options.sff,
+      rtr: false,
+      data: Buffer.from([
+        this.mcuId[0],
+        this.mcuId[1],
+        cmd,
+        lenAndAddr,
+        bytes[0],
+        bytes[1],
+        bytes[2],
+        bytes[3]
+      ])
+    };
+
+    if (this.options.responseDelay > 0) {
+      // timers with the same delay keep the order of the responses
+      setTimeout(() => this.options.transport.send(msg), this.options.responseDelay);
+    } else {
+      this.options.transport.send(msg);
+    }
+  }
+
+  clearStartInterval () {
+    if (this.startInterval) {
+      clearInterval(this.startInterval);
+      this.startInterval = undefined;
+    }
+  }
+
+  setState (state) {
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  log (level, message) {
+    this.emit('log', level, message);
+  }
+}
+
+module.exports = {
+  BootloaderSimulator,
+};
@@ -0,0 +1,279 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tracing of the CAN traffic of a bootloader session and decoding of candump logs.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const fs = require('fs');
+
+const {
+  CAN_DATA_BYTE_MCU_ID_MSB,
+  CAN_DATA_BYTE_MCU_ID_LSB,
+  CAN_DATA_BYTE_CMD,
+  CAN_DATA_BYTE_LEN_AND_ADDR,
+  CAN_ID_MCU_TO_REMOTE_DEFAULT,
+  CAN_ID_REMOTE_TO_MCU_DEFAULT,
+  CMD_BOOTLOADER_START,
+  CMD_FLASH_INIT,
+  CMD_FLASH_READY,
+  CMD_FLASH_SET_ADDRESS,
+  CMD_FLASH_ADDRESS_ERROR,
+  CMD_FLASH_DATA,
+  CMD_FLASH_DATA_ERROR,
+  CMD_FLASH_READ,
+  CMD_FLASH_READ_DATA,
+  CMD_FLASH_READ_ADDRESS_ERROR,
+  CMD_MEMORY_SELECT,
+  MEMORY_FLASH,
+  MEMORY_EEPROM,
+} = require('./constants');
+const { EXIT_CODES, FlashAppError } = require('./errors');
+const { cmdName, hexString, signatureString } = require('./utils');
+
+// direction markers like used by `candump -L -x`
+const TRACE_TX = 'T';
+const TRACE_RX = 'R';
+
+// log format of `candump -L`: (1697712345.123456) can0 1FFFFF01#0042020000000000
+const CANDUMP_LOG_REGEX = /^\s*\((\d+)\.(\d+)\)\s+(\S+)\s+([0-9A-Fa-f]{3}|[0-9A-Fa-f]{8})#(R|[0-9A-Fa-f]*)(?:\s+([TR]))?\s*$/;
+
+// default output of `candump` with optional timestamp: (1697712345.123456)  can0  1FFFFF01   [8]  00 42 02 00 00 00 00 00
+const CANDUMP_RAW_REGEX = /^\s*(?:\((\d+)\.(\d+)\)\s+)?(\S+)\s+([0-9A-Fa-f]{3}|[0-9A-Fa-f]{8})\s+\[(\d)\]\s*(remote request|(?:[0-9A-Fa-f]{2}\s*)*)$/;
+
+/**
+ * Format the ID and data of a CAN message like `1FFFFF01#0042020000000000`.
+ */
+function frameString (msg) {
+  const id = msg.id.toString(16).toUpperCase().padStart(msg.ext ? 8 : 3, '0');
+  return `${id}#` + (msg.rtr ? 'R' : Buffer.from(msg.data).toString('hex').toUpperCase());
+}
+
+/**
+ * Format a CAN message as line of a candump log (`candump -L`).
+ * @param {{ id: number, ext: boolean, rtr: boolean, data: Buffer }} msg
+ * @param {string} iface
+ * @param {number} ts Timestamp in ms since epoch
+ * @param {string} [direction] `T` for sent or `R` for received messages
+ * @returns {string}
+ */
+function formatCandumpLine (msg, iface, ts, direction) {
+  const sec = Math.floor(ts / 1000);
+  const usec = Math.round((ts - sec * 1000) * 1000);
+  return `(${sec}.${String(usec).padStart(6, '0')}) ${iface} ${frameString(msg)}` + (direction ? ` ${direction}` : '');
+}
+
+/**
+ * Parse a line of a candump log.
+ * Both the log format (`candump -L`) and the default output format of candump are supported.
+ * @param {string} line
+ * @returns {{ ts: number|null, iface: string, direction: string|null, msg: Object }|null} `null` if the line is no CAN frame
+ */
+function parseCandumpLine (line) {
+  let match = line.match(CANDUMP_LOG_REGEX);
+  if (match) {
+    if (match[5] !== 'R' && match[5].length % 2 !== 0) {
+      return null;
+    }
+    return {
+      ts: parseTimestamp(match[1], match[2]),
+      iface: match[3],
+      direction: match[6] || null,
+      msg: {
+        id: parseInt(match[4], 16),
+        ext: match[4].length === 8,
+        rtr: match[5] === 'R',
+        data: Buffer.from(match[5] === 'R' ? '' : match[5], 'hex'),
+      },
+    };
+  }
+
+  match = line.match(CANDUMP_RAW_REGEX);
+  if (match) {
+    const rtr = match[6] === 'remote request';
+    return {
+      ts: match[1] ? parseTimestamp(match[1], match[2]) : null,
+      iface: match[3],
+      direction: null,
+      msg: {
+        id: parseInt(match[4], 16),
+        ext: match[4].length === 8,
+        rtr: rtr,
+        data: Buffer.from(rtr ? '' : match[6].replace(/\s+/g, ''), 'hex'),
+      },
+    };
+  }
+
+  return null;
+}
+
+function parseTimestamp (sec, fraction) {
+  return parseInt(sec, 10) * 1000 + parseInt(fraction.padEnd(6, '0').substr(0, 6), 10) / 1000;
+}
+
+function addrString (data) {
+  return hexString(((data[4] << 24) | (data[5] << 16) | (data[6] << 8) | data[7]) >>> 0, 4);
+}
+
+function dataString (data, count) {
+  return Array.from(data.slice(4, 4 + Math.min(count, 4))).map((b) => hexString(b).substr(2)).join(' ');
+}
+
+/**
+ * Decode a CAN message of a bootloader session.
+ * @param {{ id: number, ext: boolean, rtr: boolean, data: Buffer }} msg
+ * @param {Object} [options] `canIdMcu` and `canIdRemote`
+ * @returns {{ fromMcu: boolean, mcuId: number, cmd: number, name: string, details: string }|null}
+ *   `null` if the message is not part of a bootloader session
+ */
+function decodeFrame (msg, options = {}) {
+  const canIdMcu = options.canIdMcu !== undefined ? options.canIdMcu : CAN_ID_MCU_TO_REMOTE_DEFAULT;
+  const canIdRemote = options.canIdRemote !== undefined ? options.canIdRemote : CAN_ID_REMOTE_TO_MCU_DEFAULT;
+
+  if (msg.rtr || msg.data.length !== 8) return null;
+  if (msg.id !== canIdMcu && msg.id !== canIdRemote) return null;
+
+  const data = msg.data;
+  const cmd = data[CAN_DATA_BYTE_CMD];
+  const byteCount = data[CAN_DATA_BYTE_LEN_AND_ADDR] >> 5;
+  const addrPart = data[CAN_DATA_BYTE_LEN_AND_ADDR] & 0b00011111;
+
+  let details = '';
+  switch (cmd) {
+    case CMD_BOOTLOADER_START:
+      details = `signature ${signatureString([ data[4], data[5], data[6] ])}, version ${hexString(data[7])}`;
+      break;
+    case CMD_FLASH_INIT:
+      details = `signature ${signatureString([ data[4], data[5], data[6] ])}` + (data[7] > 0 ? `, window ${data[7]}` : '');
+      break;
+    case CMD_FLASH_READY:
+      details = `address ${addrString(data)}, ${byteCount} bytes written`;
+      break;
+    case CMD_FLASH_SET_ADDRESS:
+    case CMD_FLASH_READ:
+    case CMD_FLASH_DATA_ERROR:
+      details = `address ${addrString(data)}`;
+      break;
+    case CMD_FLASH_ADDRESS_ERROR:
+    case CMD_FLASH_READ_ADDRESS_ERROR:
+      details = `flashend bootloader ${addrString(data)}`;
+      break;
+    case CMD_MEMORY_SELECT:
+      details = `memory ${data[4] === MEMORY_FLASH ? 'flash' : (data[4] === MEMORY_EEPROM ? 'EEPROM' : hexString(data[4]))}`;
+      break;
+    case CMD_FLASH_DATA:
+    case CMD_FLASH_READ_DATA:
+      details = `${byteCount} bytes, address part ${hexString(addrPart)}, data ${dataString(data, byteCount)}`;
+      break;
+  }
+
+  return {
+    fromMcu: msg.id === canIdMcu,
+    mcuId: data[CAN_DATA_BYTE_MCU_ID_LSB] + (data[CAN_DATA_BYTE_MCU_ID_MSB] << 8),
+    cmd: cmd,
+    name: cmdName(cmd),
+    details: details,
+  };
+}
+
+/**
+ * Format a CAN message as line of the decoded view of a session.
+ * @param {{ id: number, ext: boolean, rtr: boolean, data: Buffer }} msg
+ * @param {number|null} time Time in ms since the start of the session
+ * @param {Object} [options] `canIdMcu` and `canIdRemote`
+ * @param {string} [direction] `T` for sent or `R` for received messages
+ * @returns {string}
+ */
+function formatDecodedLine (msg, time, options, direction) {
+  let line = (time !== null ? (time / 1000).toFixed(6).padStart(12) + '  ' : '');
+  if (direction) {
+    line += (direction === TRACE_TX ? 'TX  ' : 'RX  ');
+  }
+
+  const decoded = decodeFrame(msg, options);
+  if (!decoded) {
+    return line + `${frameString(msg)} (no bootloader frame)`;
+  }
+  line += `${hexString(decoded.mcuId, 4)} ${decoded.fromMcu ? 'MCU -> ' : ' -> MCU'}  `;
+  return line + (decoded.details ? `${decoded.name.padEnd(28)}  ${decoded.details}` : decoded.name);
+}
+
+/**
+ * Trace of the CAN traffic of a bootloader session.
+ *
+ * All frames are written in the log format of candump (compatible with
+ * `canplayer` and the `decode` command) and optionally as decoded view to a
+ * second file. The files are written synchronously so nothing gets lost if the
+ * process exits right after the session.
+ */
+class CanTrace {
+
+  /**
+   * @param {string} file File to write the candump log to
+   * @param {Object} [options] `iface` (name written to the log, default `can0`),
+   *   `decodedFile` (file for the decoded view), `canIdMcu` and `canIdRemote`
+   */
+  constructor (file, options = {}) {
+    this.options = Object.assign({ iface: 'can0' }, options);
+    this.startTs = null;
+    this.frames = 0;
+    try {
+      this.fd = fs.openSync(file, 'w');
+      this.decodedFd = this.options.decodedFile ? fs.openSync(this.options.decodedFile, 'w') : null;
+    } catch (err) {
+      this.close();
+      throw new FlashAppError(`Failed to open trace file: ${err.message}`, EXIT_CODES.IO_ERROR);
+    }
+  }
+
+  /**
+   * Add a sent frame to the trace.
+   */
+  sent (msg) {
+    this.write(msg, TRACE_TX);
+  }
+
+  /**
+   * Add a received frame to the trace.
+   */
+  received (msg) {
+    this.write(msg, TRACE_RX);
+  }
+
+  write (msg, direction) {
+    if (this.fd === null) return;
+    const ts = Date.now();
+    if (this.startTs === null) {
+      this.startTs = ts;
+    }
+    this.frames++;
+    fs.writeSync(this.fd, formatCandumpLine(msg, this.options.iface, ts, direction) + '\n');
+    if (this.decodedFd !== null) {
+      fs.writeSync(this.decodedFd, formatDecodedLine(msg, ts - this.startTs, this.options, direction) + '\n');
+    }
+  }
+
+  /**
+   * Close the trace files.
+   */
+  close () {
+    for (const key of [ 'fd', 'decodedFd' ]) {
+      if (typeof this[key] === 'number') {
+        fs.closeSync(this[key]);
+      }
+      this[key] = null;
+    }
+  }
+}
+
+module.exports = {
+  CanTrace,
+  TRACE_RX,
+  TRACE_TX,
+  decodeFrame,
+  formatCandumpLine,
+  formatDecodedLine,
+  parseCandumpLine,
+};
@@ -0,0 +1,45 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Abstract CAN transport.
+ *
+ * A transport sends and receives CAN messages in the format used by socketcan:
+ * `{ id: number, ext: boolean, rtr: boolean, data: Buffer }`
+ *
+ * Received messages are emitted as `message` events.
+ * Implementations must override `start()`, `stop()` and `send()`.
+ */
+class CanTransport extends EventEmitter {
+
+  /**
+   * Open the transport and begin to receive messages.
+   */
+  start () {
+    throw new Error(`${this.constructor.name} does not implement start()`);
+  }
+
+  /**
+   * Close the transport.
+   */
+  stop () {
+    throw new Error(`${this.constructor.name} does not implement stop()`);
+  }
+
+  /**
+   * Send a CAN message, given as the only argument in the format described above.
+   */
+  send () {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
+
+module.exports = {
+  CanTransport,
+};
@@ -0,0 +1,17 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { CanTransport } = require('./can-transport');
+const { SocketCanTransport } = require('./socketcan-transport');
+const { VirtualCanBus, VirtualCanTransport } = require('./virtual-transport');
+
+module.exports = {
+  CanTransport,
+  SocketCanTransport,
+  VirtualCanBus,
+  VirtualCanTransport,
+};
@@ -0,0 +1,46 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { CanTransport } = require('./can-transport');
+
+/**
+ * CAN transport using a SocketCAN interface like `can0` or `vcan0`.
+ */
+class SocketCanTransport extends CanTransport {
+
+  /**
+   * @param {string} iface Name of the CAN interface
+   */
+  constructor (iface) {
+    super();
+    this.iface = iface;
+    this.channel = null;
+  }
+
+  start () {
+    // socketcan is loaded on demand, so other transports work without the native module
+    const socketcan = require('socketcan');
+    this.channel = socketcan.createRawChannel(this.iface, true);
+    this.channel.addListener('onMessage', (msg) => this.emit('message', msg));
+    this.channel.start();
+  }
+
+  stop () {
+    if (this.channel) {
+      this.channel.stop();
+      this.channel = null;
+    }
+  }
+
+  send (msg) {
+    this.channel.send(msg);
+  }
+}
+
+module.exports = {
+  SocketCanTransport,
+};
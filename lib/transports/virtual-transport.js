@@ -0,0 +1,80 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { CanTransport } = require('./can-transport');
+
+/**
+ * In-process CAN bus.
+ *
+ * Every message sent by one of the attached transports is delivered
+ * asynchronously to all other started transports, like on a real bus.
+ */
+class VirtualCanBus {
+
+  constructor () {
+    this.transports = new Set();
+  }
+
+  /**
+   * Create a new transport attached to this bus.
+   * @returns {VirtualCanTransport}
+   */
+  createTransport () {
+    return new VirtualCanTransport(this);
+  }
+
+  deliver (sender, msg) {
+    const frame = {
+      id: msg.id,
+      ext: !!msg.ext,
+      rtr: !!msg.rtr,
+      data: Buffer.from(msg.data),
+    };
+
+    setImmediate(() => {
+      for (const transport of this.transports) {
+        if (transport !== sender) {
+          transport.emit('message', frame);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * CAN transport attached to a `VirtualCanBus`.
+ */
+class VirtualCanTransport extends CanTransport {
+
+  /**
+   * @param {VirtualCanBus} [bus] The bus to attach to, a new one is created if omitted
+   */
+  constructor (bus) {
+    super();
+    this.bus = bus || new VirtualCanBus();
+  }
+
+  start () {
+    this.bus.transports.add(this);
+  }
+
+  stop () {
+    this.bus.transports.delete(this);
+  }
+
+  send (msg) {
+    if (!this.bus.transports.has(this)) {
+      throw new Error('Transport is not started');
+    }
+    this.bus.deliver(this, msg);
+  }
+}
+
+module.exports = {
+  VirtualCanBus,
+  VirtualCanTransport,
+};
@@ -0,0 +1,82 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const constants = require('./constants');
+
+// map of command values to their names like `CMD_FLASH_READY`
+const CMD_NAMES = {};
+for (const key of Object.keys(constants)) {
+  if (key.startsWith('CMD_')) {
+    CMD_NAMES[constants[key]] = key;
+  }
+}
+
+function hexString (num, minLength) {
+  let hex = num.toString(16);
+  if (hex.length % 2 !== 0) {
+    hex = '0' + hex;
+  }
+  if (minLength) {
+    while (hex.length < minLength) {
+      hex = '0' + hex;
+    }
+  }
+  return '0x' + hex.toUpperCase();
+}
+
+function parseNumber (val) {
+  if (typeof(val) === 'string') {
+    val = parseInt(val, val.startsWith('0x') ? 16 : 10);
+  }
+  return val;
+}
+
+/**
+ * Format a device signature like `0x1E 0x95 0x0F`.
+ */
+function signatureString (signature) {
+  return signature.map((b) => hexString(b)).join(' ');
+}
+
+/**
+ * Get the name of a protocol command like `CMD_FLASH_READY`.
+ */
+function cmdName (cmd) {
+  return CMD_NAMES[cmd] || `unknown command ${hexString(cmd)}`;
+}
+
+/**
+ * Compute the edit distance of two strings
+ * (Levenshtein distance with transpositions of adjacent characters).
+ */
+function stringDistance (a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [ i ];
+  }
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+module.exports = {
+  cmdName,
+  hexString,
+  stringDistance,
+  parseNumber,
+  signatureString,
+};
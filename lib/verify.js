@@ -0,0 +1,98 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Helpers to compare flash contents and to create verify reports.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const { hexString } = require('./utils');
+
+// maximum number of bytes printed per mismatching range
+const VERIFY_DIFF_MAX_BYTES = 8;
+
+/**
+ * Add a mismatching byte to the list of mismatching ranges.
+ * The bytes must be added in ascending address order.
+ * @param {Object[]} mismatches
+ * @param {number} addr
+ * @param {number} expected
+ * @param {number} actual
+ */
+function addMismatch (mismatches, addr, expected, actual) {
+  const last = mismatches[mismatches.length - 1];
+  if (last && last.end === addr - 1) {
+    last.end = addr;
+    last.expected.push(expected);
+    last.actual.push(actual);
+  } else {
+    mismatches.push({ start: addr, end: addr, expected: [ expected ], actual: [ actual ] });
+  }
+}
+
+/**
+ * Create a verify report from the collected mismatching ranges.
+ * @param {Object[]} mismatches
+ * @param {number} bytesChecked
+ * @returns {{ ok: boolean, bytesChecked: number, bytesMismatched: number, ranges: Object[] }}
+ */
+function createVerifyReport (mismatches, bytesChecked) {
+  return {
+    ok: mismatches.length === 0,
+    bytesChecked: bytesChecked,
+    bytesMismatched: mismatches.reduce((sum, r) => sum + r.expected.length, 0),
+    ranges: mismatches.map((r) => ({
+      start: r.start,
+      end: r.end,
+      expected: Buffer.from(r.expected).toString('hex').toUpperCase(),
+      actual: Buffer.from(r.actual).toString('hex').toUpperCase(),
+    })),
+  };
+}
+
+/**
+ * Format a mismatching range of a verify report for printing.
+ * @param {{ start: number, end: number, expected: string, actual: string }} range
+ * @returns {string}
+ */
+function formatVerifyRange (range) {
+  const bytes = (str) => {
+    const list = str.match(/../g);
+    return list.slice(0, VERIFY_DIFF_MAX_BYTES).join(' ') + (list.length > VERIFY_DIFF_MAX_BYTES ? ' ...' : '');
+  };
+  return `${hexString(range.start, 4)}-${hexString(range.end, 4)} expected ${bytes(range.expected)}, actual ${bytes(range.actual)}`;
+}
+
+/**
+ * Compare an image with a previously read flash dump.
+ * Addresses not contained in the dump are expected to be erased (0xFF).
+ * @param {MemoryMap} image
+ * @param {MemoryMap} dump
+ * @returns {{ ok: boolean, bytesChecked: number, bytesMismatched: number, ranges: Object[] }}
+ */
+function compareMemMaps (image, dump) {
+  const mismatches = [];
+  let bytesChecked = 0;
+
+  const keys = Array.from(image.keys()).sort((a, b) => a - b);
+  for (const addr of keys) {
+    const block = image.get(addr);
+    const actual = dump.slicePad(addr, block.length, 0xFF);
+    for (let i = 0; i < block.length; i++) {
+      if (block[i] !== actual[i]) {
+        addMismatch(mismatches, addr + i, block[i], actual[i]);
+      }
+    }
+    bytesChecked += block.length;
+  }
+
+  return createVerifyReport(mismatches, bytesChecked);
+}
+
+module.exports = {
+  addMismatch,
+  compareMemMaps,
+  createVerifyReport,
+  formatVerifyRange,
+};
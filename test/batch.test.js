@@ -0,0 +1,123 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Behavior of flashing multiple nodes against the bootloader simulator.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+
+const { flashMany } = require('../lib/batch');
+const { EXIT_CODES } = require('../lib/errors');
+const { BootloaderSimulator } = require('../lib/simulator');
+const { VirtualCanBus } = require('../lib/transports');
+const { MCU_ID, assertContains, createImage } = require('./helpers');
+
+const OTHER_MCU_ID = 0x43;
+
+describe('flashMany', function () {
+  this.timeout(10000);
+
+  let bus;
+  let appTransport;
+  let sims;
+  let sim;
+
+  const addSim = (mcuId) => {
+    const simTransport = bus.createTransport();
+    simTransport.start();
+    const newSim = new BootloaderSimulator({ transport: simTransport, mcuId: mcuId, partno: 'm328p', startInterval: 20 });
+    newSim.start();
+    sims.push(newSim);
+    return newSim;
+  };
+
+  beforeEach(function () {
+    bus = new VirtualCanBus();
+    appTransport = bus.createTransport();
+    appTransport.start();
+    sims = [];
+    sim = addSim(MCU_ID);
+  });
+
+  afterEach(function () {
+    sims.forEach((s) => s.stop());
+  });
+
+  const node = (mcuId, options) => Object.assign({ transport: appTransport, mcuId: mcuId, partno: 'm328p', timeout: 50, hex: createImage(20) }, options);
+
+  it('continues with the next node if a node is offline', function () {
+    return flashMany([ node(0x0099), node(MCU_ID) ], { sessionTimeout: 200 }).then((results) => {
+      assert.strictEqual(results[0].success, false);
+      assert.strictEqual(results[0].exitCode, EXIT_CODES.TIMEOUT);
+      assert.strictEqual(results[1].success, true);
+      assertContains(sim.flash, results[1].node.hex);
+    });
+  });
+
+  it('uses the session timeout of the node', function () {
+    return flashMany([ node(0x0099, { sessionTimeout: 100 }) ], { sessionTimeout: 0 }).then((results) => {
+      assert.strictEqual(results[0].exitCode, EXIT_CODES.TIMEOUT);
+    });
+  });
+
+  it('skips the remaining nodes after an error if stopOnError is set', function () {
+    return flashMany([ node(0x0099), node(MCU_ID) ], { sessionTimeout: 100, stopOnError: true }).then((results) => {
+      assert.strictEqual(results[0].exitCode, EXIT_CODES.TIMEOUT);
+      assert.strictEqual(results[0].skipped, false);
+      assert.strictEqual(results[1].success, false);
+      assert.strictEqual(results[1].skipped, true);
+      assert.strictEqual(results[1].exitCode, null);
+    });
+  });
+
+  describe('grouping', function () {
+
+    let events;
+
+    beforeEach(function () {
+      events = [];
+    });
+
+    const track = (s) => {
+      s.on('appStarted', () => {
+        events.push(`end ${s.options.mcuId}`);
+        // reset the MCU to be ready for the next session
+        setImmediate(() => s.enterBootloader());
+      });
+    };
+    const onNode = (n, app, idx) => events.push(`start ${idx}`);
+
+    it('flashes all nodes one after another if not concurrent', function () {
+      track(sim);
+      track(addSim(OTHER_MCU_ID));
+      return flashMany([ node(MCU_ID), node(OTHER_MCU_ID) ], { onNode: onNode }).then((results) => {
+        assert.ok(results.every((r) => r.success));
+        assert.deepStrictEqual(events, [ 'start 0', `end ${MCU_ID}`, 'start 1', `end ${OTHER_MCU_ID}` ]);
+      });
+    });
+
+    it('flashes nodes of different MCU IDs concurrently', function () {
+      const other = addSim(OTHER_MCU_ID);
+      track(sim);
+      track(other);
+      return flashMany([ node(MCU_ID), node(OTHER_MCU_ID, { hex: createImage(30) }) ], { concurrent: true, onNode: onNode }).then((results) => {
+        assert.ok(results.every((r) => r.success));
+        assert.deepStrictEqual(events.slice(0, 2), [ 'start 0', 'start 1' ]);
+        assertContains(sim.flash, results[0].node.hex);
+        assertContains(other.flash, results[1].node.hex);
+      });
+    });
+
+    it('flashes nodes of the same MCU ID one after another in concurrent mode', function () {
+      track(sim);
+      return flashMany([ node(MCU_ID), node(MCU_ID, { hex: createImage(30) }) ], { concurrent: true, onNode: onNode }).then((results) => {
+        assert.ok(results.every((r) => r.success));
+        assert.deepStrictEqual(events, [ 'start 0', `end ${MCU_ID}`, 'start 1', `end ${MCU_ID}` ]);
+        assertContains(sim.flash, results[1].node.hex);
+      });
+    });
+  });
+});
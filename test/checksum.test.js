@@ -0,0 +1,71 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the checksums of images and flash contents.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const MemoryMap = require('nrf-intel-hex');
+
+const { computeChecksums, crc32, patchChecksum } = require('../lib/checksum');
+const { hexString } = require('../lib/utils');
+const { createImage } = require('./helpers');
+
+describe('checksum', function () {
+
+  describe('crc32', function () {
+
+    it('computes the CRC32 like zlib', function () {
+      assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+      assert.strictEqual(crc32(new Uint8Array(0)), 0);
+      assert.strictEqual(crc32(Uint8Array.from([ 0xFF, 0xFF, 0xFF, 0xFF ])), 0xFFFFFFFF);
+    });
+  });
+
+  describe('computeChecksums', function () {
+
+    it('fills gaps with erased bytes', function () {
+      const memMap = new MemoryMap();
+      memMap.set(0x10, Uint8Array.from([ 1, 2 ]));
+      memMap.set(0x14, Uint8Array.from([ 3 ]));
+      const data = Buffer.from([ 1, 2, 0xFF, 0xFF, 3 ]);
+      assert.deepStrictEqual(computeChecksums(memMap), {
+        start: 0x10,
+        end: 0x15,
+        length: 5,
+        crc32: hexString(crc32(data), 8),
+        sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      });
+    });
+
+    it('uses the given range', function () {
+      const image = createImage(16, 0x20);
+      const flash = createImage(64);
+      flash.get(0).set(image.get(0x20), 0x20);
+      const range = { start: 0x20, end: 0x30 };
+      assert.deepStrictEqual(computeChecksums(flash, range), computeChecksums(image));
+    });
+  });
+
+  describe('patchChecksum', function () {
+
+    it('writes the length and the CRC32 of the image behind it', function () {
+      const image = createImage(10, 0x100);
+      const data = image.slicePad(0x100, 16, 0xFF);
+      const patch = patchChecksum(image, 0x110);
+      assert.deepStrictEqual(patch, { start: 0x100, length: 16, crc32: crc32(data) });
+
+      const patched = Buffer.from(image.slice(0x110, 8).get(0x110));
+      assert.strictEqual(patched.readUInt32LE(0), 16);
+      assert.strictEqual(patched.readUInt32LE(4), crc32(data));
+    });
+
+    it('rejects a patch address within the image', function () {
+      assert.throws(() => patchChecksum(createImage(32), 0x10), /Cannot patch the checksum at 0x0010: The image contains data up to 0x001F/);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the shared helpers of the CLI commands.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { attachJsonOutput, writeVerifyReport } = require('../../lib/cli/common');
+const { EXIT_CODES } = require('../../lib/errors');
+const { createVerifyReport } = require('../../lib/verify');
+const { createImage, runSession } = require('../helpers');
+
+const CLI = path.join(__dirname, '..', '..', 'flash-app.js');
+
+/**
+ * Collect the JSON events printed to the console until the returned function is called.
+ * @param {string} [method='log'] Method of the console to capture
+ * @returns {Function} Restores the console and returns the parsed events
+ */
+function captureJsonEvents (method = 'log') {
+  const original = console[method];
+  const lines = [];
+  console[method] = (line) => lines.push(line);
+  return () => {
+    console[method] = original;
+    return lines.map((line) => JSON.parse(line));
+  };
+}
+
+describe('cli/common', function () {
+
+  let tmpDir;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-cli-'));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // output collecting the printed messages
+  const createOutput = () => {
+    const output = { messages: [] };
+    output.info = (message) => output.messages.push([ 'info', message ]);
+    output.error = (message) => output.messages.push([ 'error', message ]);
+    return output;
+  };
+
+  describe('attachJsonOutput', function () {
+
+    it('prints the events as newline-delimited JSON', function () {
+      const emitter = new EventEmitter();
+      const stop = captureJsonEvents();
+      attachJsonOutput(emitter, {});
+      emitter.emit('waiting', { mcuId: 0x42 });
+      emitter.emit('bootloader', { signature: [ 0x1E, 0x95, 0x0F ], version: 1, device: { partno: 'm328p', name: 'ATmega328P' }, capabilities: null });
+      emitter.emit('state', 'flashing');
+      emitter.emit('log', 'info', 'Hello');
+      emitter.emit('log', 'verbose', 'Not printed');
+      emitter.emit('verify', createVerifyReport([], 10));
+      const events = stop();
+
+      assert.ok(events.every((e) => typeof e.time === 'number'));
+      events.forEach((e) => delete e.time);
+      assert.deepStrictEqual(events, [
+        { event: 'waiting', mcuId: '0x0042' },
+        { event: 'bootloader-detected', signature: '0x1E 0x95 0x0F', version: 1, partno: 'm328p', name: 'ATmega328P', capabilities: null },
+        { event: 'state', state: 'flashing' },
+        { event: 'log', level: 'info', message: 'Hello' },
+        { event: 'verify', ok: true, bytesChecked: 10, bytesMismatched: 0, ranges: [] },
+      ]);
+    });
+
+    it('prints verbose log messages if requested', function () {
+      const emitter = new EventEmitter();
+      const stop = captureJsonEvents();
+      attachJsonOutput(emitter, { verbose: true });
+      emitter.emit('log', 'verbose', 'Details');
+      assert.deepStrictEqual(stop().map((e) => e.message), [ 'Details' ]);
+    });
+
+    it('prints the progress in steps of 5 percent', function () {
+      const emitter = new EventEmitter();
+      const stop = captureJsonEvents();
+      attachJsonOutput(emitter, {});
+      emitter.emit('state', 'flashing');
+      emitter.emit('progressStart', 100, 0);
+      for (let i = 0; i < 12; i++) {
+        emitter.emit('progress', 1);
+      }
+      emitter.emit('progressStop');
+      const progress = stop().filter((e) => e.event === 'progress');
+      assert.deepStrictEqual(progress.map((e) => e.percent), [ 0, 5, 10, 12 ]);
+      assert.ok(progress.every((e) => e.state === 'flashing' && e.total === 100));
+    });
+
+    it('prints to stderr if requested', function () {
+      const emitter = new EventEmitter();
+      const stop = captureJsonEvents('error');
+      const output = attachJsonOutput(emitter, {}, true);
+      output.info('Info');
+      output.error('Error');
+      assert.deepStrictEqual(stop().map((e) => [ e.event, e.level, e.message ]), [ [ 'log', 'info', 'Info' ], [ 'log', 'error', 'Error' ] ]);
+    });
+
+    it('prints the events of a flash session', function () {
+      let stop;
+      return runSession({ hex: createImage(100) }, {}, ({ app }) => {
+        stop = captureJsonEvents();
+        attachJsonOutput(app, {});
+      }).then((session) => {
+        const events = stop();
+        assert.strictEqual(session.error, null);
+        const names = events.map((e) => e.event);
+        assert.ok(names.indexOf('waiting') < names.indexOf('bootloader-detected'), names.join());
+        assert.ok(names.includes('progress'));
+        assert.strictEqual(events.find((e) => e.event === 'verify').ok, true);
+      });
+    });
+  });
+
+  describe('exitWithError', function () {
+
+    it('prints a JSON error event with the exit code', function () {
+      const file = path.join(tmpDir, 'empty.json');
+      fs.writeFileSync(file, '{}');
+      const proc = childProcess.spawnSync(process.execPath, [ CLI, 'batch', file, '--json' ], { encoding: 'utf8' });
+      assert.strictEqual(proc.status, EXIT_CODES.ERROR);
+      const lines = proc.stdout.trim().split('\n');
+      assert.strictEqual(lines.length, 1);
+      const event = JSON.parse(lines[0]);
+      assert.strictEqual(event.event, 'error');
+      assert.strictEqual(event.exitCode, EXIT_CODES.ERROR);
+      assert.ok(event.message.endsWith('A list of nodes must be provided'), event.message);
+    });
+
+    it('prints the error to stderr without JSON', function () {
+      const proc = childProcess.spawnSync(process.execPath, [ CLI, 'simulate', '-p', 'm328p', '-m', '0x42', '-f', path.join(tmpDir, 'missing.hex') ], { encoding: 'utf8' });
+      assert.strictEqual(proc.status, EXIT_CODES.IO_ERROR);
+      assert.strictEqual(proc.stdout, '');
+      assert.ok(/Input file .*missing\.hex does not exist!/.test(proc.stderr), proc.stderr);
+    });
+  });
+
+  describe('writeVerifyReport', function () {
+
+    it('writes the report with the info as JSON', function () {
+      const file = path.join(tmpDir, 'report.json');
+      const output = createOutput();
+      const report = createVerifyReport([ { start: 0x10, end: 0x11, expected: [ 1, 2 ], actual: [ 0xFF, 0xFE ] } ], 100);
+      writeVerifyReport(file, { file: 'firmware.hex', mcuId: '0x0042' }, report, output);
+
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.strictEqual(data.file, 'firmware.hex');
+      assert.strictEqual(data.mcuId, '0x0042');
+      assert.ok(!isNaN(Date.parse(data.date)));
+      assert.strictEqual(data.ok, false);
+      assert.strictEqual(data.bytesChecked, 100);
+      assert.strictEqual(data.bytesMismatched, 2);
+      assert.deepStrictEqual(data.ranges, [ { start: 0x10, end: 0x11, expected: '0102', actual: 'FFFE' } ]);
+      assert.deepStrictEqual(output.messages, [ [ 'info', `Verify report written to ${file}.` ] ]);
+    });
+
+    it('prints an error if the report cannot be written', function () {
+      const output = createOutput();
+      writeVerifyReport(path.join(tmpDir, 'missing', 'report.json'), {}, createVerifyReport([], 1), output);
+      assert.strictEqual(output.messages.length, 1);
+      assert.strictEqual(output.messages[0][0], 'error');
+      assert.ok(output.messages[0][1].startsWith('ERROR: Failed to write the verify report'));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the config files and profiles.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, loadConfigFile, resolveProfile } = require('../lib/config');
+
+const CLI = path.join(__dirname, '..', 'flash-app.js');
+
+describe('config', function () {
+
+  let tmpDir;
+  let home;
+  let project;
+  let cwd;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-config-'));
+    home = path.join(tmpDir, 'home');
+    project = path.join(tmpDir, 'project');
+    cwd = path.join(project, 'src', 'app');
+    fs.mkdirSync(home);
+    fs.mkdirSync(cwd, { recursive: true });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (file, content) => fs.writeFileSync(file, JSON.stringify(content));
+
+  describe('loadConfig', function () {
+
+    it('merges the user config with the nearest project config', function () {
+      writeJson(path.join(home, '.mcp-can-boot.json'), {
+        iface: 'can1',
+        timeout: 100,
+        profiles: { lab: { mcuid: '0x0001', sff: true }, home: { iface: 'vcan0' } },
+      });
+      fs.writeFileSync(path.join(project, '.mcp-can-boot.yml'), [
+        'iface: can2',
+        'profiles:',
+        '  lab:',
+        '    mcuid: "0x0042"',
+      ].join('\n'));
+
+      const config = loadConfig({ cwd: cwd, home: home });
+      assert.deepStrictEqual(config.files, [ path.join(home, '.mcp-can-boot.json'), path.join(project, '.mcp-can-boot.yml') ]);
+      assert.deepStrictEqual(config.settings, { iface: 'can2', timeout: 100 });
+      assert.deepStrictEqual(config.profiles, { lab: { mcuid: '0x0042', sff: true }, home: { iface: 'vcan0' } });
+    });
+
+    it('prefers the JSON file in a directory', function () {
+      writeJson(path.join(cwd, '.mcp-can-boot.json'), { iface: 'json' });
+      fs.writeFileSync(path.join(cwd, '.mcp-can-boot.yaml'), 'iface: yaml');
+      assert.strictEqual(loadConfig({ cwd: cwd, home: home }).settings.iface, 'json');
+    });
+
+    it('does not use the user config as project config', function () {
+      writeJson(path.join(home, '.mcp-can-boot.json'), { iface: 'can1' });
+      const config = loadConfig({ cwd: home, home: home });
+      assert.deepStrictEqual(config.files, [ path.join(home, '.mcp-can-boot.json') ]);
+    });
+
+    it('uses the given config file instead of searching it', function () {
+      writeJson(path.join(project, '.mcp-can-boot.json'), { iface: 'found' });
+      const file = path.join(tmpDir, 'custom.json');
+      writeJson(file, { iface: 'custom' });
+      const config = loadConfig({ file: file, cwd: cwd, home: home });
+      assert.deepStrictEqual(config.files, [ file ]);
+      assert.strictEqual(config.settings.iface, 'custom');
+    });
+
+    it('rejects a missing config file', function () {
+      assert.throws(() => loadConfig({ file: path.join(tmpDir, 'missing.json'), home: home }), /Config file .*missing\.json does not exist/);
+    });
+  });
+
+  describe('loadConfigFile', function () {
+
+    it('accepts an empty YAML file', function () {
+      const file = path.join(tmpDir, 'empty.yml');
+      fs.writeFileSync(file, '');
+      assert.deepStrictEqual(loadConfigFile(file), { settings: {}, profiles: {} });
+    });
+
+    it('rejects invalid config files', function () {
+      const assertInvalid = (content, message) => {
+        const file = path.join(tmpDir, 'invalid.json');
+        fs.writeFileSync(file, content);
+        assert.throws(() => loadConfigFile(file), (err) => err.message.includes(message));
+      };
+      assertInvalid('{', 'Failed to load config file');
+      assertInvalid('[]', 'The content must be an object');
+      assertInvalid('{ "profiles": [] }', 'The profiles must be an object');
+      assertInvalid('{ "profiles": { "lab": 1 } }', 'The profile lab must be an object');
+    });
+  });
+
+  describe('resolveProfile', function () {
+
+    const config = { settings: { iface: 'can1', timeout: 100 }, profiles: { lab: { iface: 'vcan0' }, line: { mcuid: 1 } } };
+
+    it('applies the profile to the settings', function () {
+      assert.deepStrictEqual(resolveProfile(config), { iface: 'can1', timeout: 100 });
+      assert.deepStrictEqual(resolveProfile(config, 'lab'), { iface: 'vcan0', timeout: 100 });
+    });
+
+    it('suggests similar profiles for an unknown profile', function () {
+      assert.throws(() => resolveProfile(config, 'lap'), (err) => err.message === 'Unknown profile lap! Did you mean lab? Available profiles: lab, line');
+      assert.throws(() => resolveProfile({ settings: {}, profiles: {} }, 'lab'), /No profiles are defined/);
+    });
+  });
+
+  describe('--print-config', function () {
+
+    it('prints the settings of the profile overridden by the arguments', function () {
+      writeJson(path.join(project, '.mcp-can-boot.json'), { iface: 'can1', profiles: { lab: { iface: 'vcan0', mcuid: '0x0042' } } });
+      const output = childProcess.execFileSync(process.execPath, [ CLI, '--print-config', '--profile', 'lab', '--can-id-mcu', '0x100' ], {
+        cwd: cwd,
+        env: Object.assign({}, process.env, { HOME: home }),
+        encoding: 'utf8',
+      });
+      const lines = output.split('\n');
+      assert.strictEqual(lines[0], `Config files: ${path.join(project, '.mcp-can-boot.json')}`);
+      assert.strictEqual(lines[1], 'Profile: lab');
+      assert.ok(lines.some((line) => /^--iface\s+vcan0$/.test(line)), output);
+      assert.ok(lines.some((line) => /^--mcuid\s+0x0042$/.test(line)), output);
+      assert.ok(lines.some((line) => /^--can-id-mcu\s+0x0100$/.test(line)), output);
+    });
+  });
+});
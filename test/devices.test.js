@@ -0,0 +1,118 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the device database.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DeviceDatabase, getDefaultDatabase, loadDeviceInfo } = require('../lib/devices');
+
+const CLI = path.join(__dirname, '..', 'flash-app.js');
+
+describe('devices', function () {
+
+  let tmpDir;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-devices-'));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('DeviceDatabase', function () {
+
+    it('loads the built-in devices', function () {
+      const device = getDefaultDatabase().get('m328p');
+      assert.strictEqual(device.name, 'ATmega328P');
+      assert.deepStrictEqual(device.signature, [ 0x1E, 0x95, 0x0F ]);
+      assert.strictEqual(device.flashSize, 32768);
+    });
+
+    it('finds devices by name and alias ignoring the case', function () {
+      const db = getDefaultDatabase();
+      assert.strictEqual(db.get('ATmega328P').partno, 'm328p');
+      assert.strictEqual(db.get('M8A').partno, 'm8');
+    });
+
+    it('finds devices by signature', function () {
+      const devices = getDefaultDatabase().getBySignature([ 0x1E, 0x97, 0x05 ]);
+      assert.deepStrictEqual(devices.map((d) => d.partno), [ 'm1284p' ]);
+    });
+
+    it('normalizes custom devices', function () {
+      const db = new DeviceDatabase([ { partno: 'X1', signature: '1e:aa:01', flashSize: 1024, aliases: [ 'Foo' ] } ]);
+      assert.deepStrictEqual(db.get('foo'), {
+        partno: 'x1',
+        name: 'X1',
+        aliases: [ 'foo' ],
+        signature: [ 0x1E, 0xAA, 0x01 ],
+        flashSize: 1024,
+        pageSize: 0,
+        eepromSize: 0,
+      });
+    });
+
+    it('rejects invalid device definitions', function () {
+      assert.throws(() => new DeviceDatabase([ { signature: '1E 95 0F', flashSize: 1024 } ]), /A partno must be provided/);
+      assert.throws(() => new DeviceDatabase([ { partno: 'x', signature: '1E 95', flashSize: 1024 } ]), /three bytes/);
+      assert.throws(() => new DeviceDatabase([ { partno: 'x', signature: '1E 95 0F', flashSize: 0 } ]), /flash size/);
+    });
+
+    it('adds and replaces devices from a file', function () {
+      const file = path.join(tmpDir, 'devices.json');
+      fs.writeFileSync(file, JSON.stringify([
+        { partno: 'm328p', name: 'Custom', signature: '1E 95 0F', flashSize: 16384 },
+        { partno: 'x2', signature: '1E 00 01', flashSize: 2048 },
+      ]));
+      const db = new DeviceDatabase();
+      const count = db.getAll().length;
+      db.loadFile(file);
+      assert.strictEqual(db.getAll().length, count + 1);
+      assert.strictEqual(db.get('m328p').name, 'Custom');
+      assert.strictEqual(db.get('x2').flashSize, 2048);
+    });
+
+    it('rejects device files without an array', function () {
+      const file = path.join(tmpDir, 'object.json');
+      fs.writeFileSync(file, '{}');
+      assert.throws(() => new DeviceDatabase().loadFile(file), /must contain an array of devices/);
+    });
+  });
+
+  describe('loadDeviceInfo', function () {
+
+    it('suggests similar part numbers for an unknown device', function () {
+      assert.throws(() => loadDeviceInfo('m328x'), (err) => {
+        assert.ok(/^Unknown part number m328x! Did you mean .*m328p/.test(err.message), err.message);
+        return true;
+      });
+    });
+
+    it('does not suggest anything for a completely different part number', function () {
+      assert.throws(() => loadDeviceInfo('stm32f103c8'), (err) => err.message === 'Unknown part number stm32f103c8!');
+    });
+  });
+
+  describe('--list-devices', function () {
+
+    it('prints the known devices including the custom ones', function () {
+      const file = path.join(tmpDir, 'list.json');
+      fs.writeFileSync(file, JSON.stringify([ { partno: 'x3', name: 'Custom X3', signature: '1E 00 03', flashSize: 4096 } ]));
+      const output = childProcess.execFileSync(process.execPath, [ CLI, '--list-devices', '--device-file', file ], { encoding: 'utf8' });
+      const lines = output.split('\n');
+      assert.ok(lines[0].startsWith('Part no'));
+      assert.ok(lines.some((line) => /^m328p\s+ATmega328P\s+1E 95 0F\s+32768/.test(line)));
+      assert.ok(lines.some((line) => /^x3\s+Custom X3\s+1E 00 03\s+4096/.test(line)));
+    });
+  });
+});
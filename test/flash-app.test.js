@@ -0,0 +1,552 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Behavior of the flash app against the bootloader simulator.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+
+const { CMD_FLASH_DONE, CMD_FLASH_INIT, CMD_FLASH_SET_ADDRESS, CMD_START_APP } = require('../lib/constants');
+const { EXIT_CODES } = require('../lib/errors');
+const { FlashApp } = require('../lib/flash-app');
+const { MCU_ID, assertContains, assertFailure, assertSuccess, createImage, faultAt, runSession, seededRandom } = require('./helpers');
+
+/**
+ * Setup of a session dropping the frames with the given command sent by the flash app.
+ * @param {number} cmd
+ * @param {number} [count] Number of frames to drop, all if not given
+ */
+function dropSent (cmd, count) {
+  return ({ app }) => {
+    const send = app.send.bind(app);
+    let dropped = 0;
+    app.send = (msg) => {
+      if (msg.data[2] === cmd && (count === undefined || dropped < count)) {
+        dropped++;
+        return;
+      }
+      send(msg);
+    };
+  };
+}
+
+describe('FlashApp', function () {
+  this.timeout(10000);
+
+  describe('happy path', function () {
+
+    it('flashes and verifies the image', function () {
+      const image = createImage(500);
+      return runSession({ hex: image }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.verify.ok, true);
+        assert.strictEqual(session.result.stats.bytesWritten, 500);
+        assert.strictEqual(session.result.stats.bytesRead, 500);
+        assert.strictEqual(session.result.stats.retransmits, 0);
+      });
+    });
+
+    it('flashes multiple blocks without verifying', function () {
+      const image = createImage(37);
+      image.set(0x1001, Uint8Array.from([ 1, 2, 3, 4, 5 ]));
+      return runSession({ hex: image, verify: false }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.result.verify, null);
+      });
+    });
+
+    it('reads the flash', function () {
+      const flash = new Uint8Array(0x100);
+      for (let i = 0; i < flash.length; i++) {
+        flash[i] = i;
+      }
+      return runSession({ read: 0xFF }, { flash: flash }).then((session) => {
+        assertSuccess(session);
+        const read = session.result.memMap.get(0);
+        assert.strictEqual(read.length, 0x100);
+        assert.deepStrictEqual(Buffer.from(read), Buffer.from(flash));
+      });
+    });
+
+    it('warns if the read flash is fully erased', function () {
+      const warnings = [];
+      const setup = ({ app }) => {
+        app.on('log', (level, message) => {
+          if (level === 'warn') {
+            warnings.push(message);
+          }
+        });
+      };
+      return runSession({ read: 0xFF, skipErased: true }, {}, setup).then((session) => {
+        assertSuccess(session);
+        assert.strictEqual(session.result.memMap.size, 0);
+        assert.ok(warnings.some((message) => message.includes('All 256 read bytes are erased')), warnings.join('\n'));
+      });
+    });
+
+    it('verifies the flash without writing it', function () {
+      const image = createImage(200);
+      const flash = new Uint8Array(32768).fill(0xFF);
+      flash.set(image.get(0));
+      return runSession({ hex: image, verifyOnly: true }, { flash: flash }).then((session) => {
+        assertSuccess(session);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.verify.ok, true);
+        assert.strictEqual(session.result.verify.bytesChecked, 200);
+        assert.strictEqual(session.result.stats.bytesWritten, 0);
+      });
+    });
+
+    it('computes the checksums of the image and the flash', function () {
+      const image = createImage(300);
+      return runSession({ hex: image, checksum: true, patchChecksum: 0x200 }).then((session) => {
+        assertSuccess(session);
+        const { image: imageChecksums, flash: flashChecksums } = session.result.checksums;
+        assert.strictEqual(imageChecksums.length, 0x208);
+        assert.deepStrictEqual(flashChecksums, imageChecksums);
+        assert.strictEqual(Buffer.from(session.sim.flash.subarray(0x200, 0x204)).readUInt32LE(0), 0x200);
+      });
+    });
+
+    it('skips erased pages when flashing after erasing', function () {
+      const image = createImage(384);
+      image.get(0).fill(0xFF, 128, 256);
+      const flash = new Uint8Array(32768).fill(0x00);
+      return runSession({ hex: image, erase: true, skipErased: true }, { flash: flash }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.result.stats.bytesWritten, 256);
+        assert.strictEqual(session.result.verify.ok, true);
+      });
+    });
+
+    it('removes erased pages from the read flash', function () {
+      const flash = new Uint8Array(32768).fill(0xFF);
+      flash[0x05] = 0x00;
+      flash[0x105] = 0x01;
+      return runSession({ read: 0x1FF, skipErased: true }, { flash: flash }).then((session) => {
+        assertSuccess(session);
+        assert.deepStrictEqual(Array.from(session.result.memMap.keys()), [ 0x000, 0x100 ]);
+        assert.strictEqual(session.result.memMap.get(0x100).length, 128);
+      });
+    });
+
+    it('skips erased pages only after erasing', function () {
+      assert.throws(() => new FlashApp({ mcuId: MCU_ID, hex: createImage(10), skipErased: true }), /only be skipped when the flash is erased/);
+    });
+
+    it('writes and reads the EEPROM', function () {
+      const eeprom = createImage(20, 0x10);
+      return runSession({ eepromWrite: eeprom, eepromRead: true }, { version: 0x02 }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.eeprom, eeprom);
+        assert.strictEqual(session.result.eeprom.get(0).length, 1024);
+      });
+    });
+
+    it('does not verify the EEPROM while reading the flash', function () {
+      const eeprom = createImage(20, 0x10);
+      return runSession({ eepromWrite: eeprom, read: 0xFF }, { version: 0x02 }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.eeprom, eeprom);
+        assert.strictEqual(session.result.stats.bytesRead, 0x100);
+      });
+    });
+
+    it('flashes with multiple data frames in flight', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, window: 8 }, { version: 0x03 }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.result.stats.window, 8);
+      });
+    });
+
+    it('falls back to one data frame in flight for older bootloaders', function () {
+      const image = createImage(100);
+      return runSession({ hex: image, window: 8 }, { version: 0x01 }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.result.stats.window, 1);
+      });
+    });
+  });
+
+  describe('reading ranges', function () {
+
+    // flash of the simulator with the low byte of the address in each byte
+    const countingFlash = () => {
+      const flash = new Uint8Array(32768);
+      for (let i = 0; i < flash.length; i++) {
+        flash[i] = i & 0xFF;
+      }
+      return flash;
+    };
+
+    // session collecting the warnings
+    const withWarnings = (warnings) => ({ app }) => {
+      app.on('log', (level, message) => {
+        if (level === 'warn') {
+          warnings.push(message);
+        }
+      });
+    };
+
+    it('reads the given ranges into a sparse memory map', function () {
+      const readRanges = [ { start: 0x100, end: 0x103 }, { start: 0x10, end: 0x1F }, { start: 0x18, end: 0x20 } ];
+      return runSession({ readRanges: readRanges }, { flash: countingFlash() }).then((session) => {
+        assertSuccess(session);
+        const memMap = session.result.memMap;
+        assert.deepStrictEqual(Array.from(memMap.keys()), [ 0x10, 0x100 ]);
+        assert.deepStrictEqual(Array.from(memMap.get(0x10)), Array.from({ length: 0x11 }, (v, i) => 0x10 + i));
+        assert.deepStrictEqual(Array.from(memMap.get(0x100)), [ 0, 1, 2, 3 ]);
+      });
+    });
+
+    it('limits the ranges to the program space', function () {
+      const warnings = [];
+      const readRanges = [ { start: 0x6FF0, end: 0x7010 }, { start: 0x7100, end: 0x7200 } ];
+      return runSession({ readRanges: readRanges }, { flash: countingFlash() }, withWarnings(warnings)).then((session) => {
+        assertSuccess(session);
+        assert.strictEqual(session.result.memMap.get(0x6FF0).length, 0x10);
+        assert.ok(warnings.some((message) => message.includes('exceeds the program space, reading until 0x6FFF')), warnings.join('\n'));
+        assert.ok(warnings.some((message) => message.includes('Skipping read range 0x7100-0x7200')), warnings.join('\n'));
+      });
+    });
+
+    it('reads the program space and tries to read the bootloader section', function () {
+      return runSession({ read: 0x0F, readBootloader: true }, { flash: countingFlash() }).then((session) => {
+        assertSuccess(session);
+        // the simulator answers reads of the bootloader section with an address error
+        assert.deepStrictEqual(Array.from(session.result.memMap.keys()), [ 0 ]);
+        assert.strictEqual(session.result.memMap.get(0).length, 0x10);
+      });
+    });
+
+    it('fails if only the unreadable bootloader section is requested', function () {
+      return runSession({ readBootloader: true }).then((session) => {
+        assertFailure(session, EXIT_CODES.ADDRESS_ERROR);
+        assert.ok(session.appStarted);
+      });
+    });
+
+    it('rejects invalid ranges', function () {
+      const create = (readRanges) => () => new FlashApp({ mcuId: MCU_ID, readRanges: readRanges });
+      assert.throws(create([]), /At least one read range must be provided/);
+      assert.throws(create([ { start: 0x10, end: 0x0F } ]), /Invalid read range/);
+      assert.throws(create([ { start: -1, end: 0x0F } ]), /Invalid read range/);
+    });
+  });
+
+  describe('dropped frames', function () {
+
+    it('recovers from frames dropped by the MCU', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, retries: 5 }, { faults: { dropRx: 0.05, random: seededRandom(1) } }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.result.stats.retransmits > 0);
+      });
+    });
+
+    it('recovers from dropped responses of the MCU', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, retries: 5 }, { faults: { dropTx: 0.05, random: seededRandom(2) } }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.result.stats.retransmits > 0);
+      });
+    });
+
+    it('recovers from dropped frames with multiple data frames in flight', function () {
+      const image = createImage(500);
+      const faults = { dropRx: 0.03, dropTx: 0.03, random: seededRandom(3) };
+      return runSession({ hex: image, window: 8, retries: 5, dataErrorRetries: 10 }, { version: 0x03, faults: faults }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.result.stats.retransmits > 0);
+      });
+    });
+
+    it('recovers from a lost flash init', function () {
+      const image = createImage(20);
+      return runSession({ hex: image }, { faults: { dropRx: 0.5, random: faultAt(1) } }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+      });
+    });
+
+    it('re-syncs by setting the address after a lost flash ready to the flash init', function () {
+      // the first sent frame is the bootloader start message, the second one the flash ready
+      const image = createImage(20);
+      const sent = [];
+      const setup = ({ app }) => {
+        const send = app.send.bind(app);
+        app.send = (msg) => {
+          sent.push(msg.data[2]);
+          send(msg);
+        };
+      };
+      return runSession({ hex: image }, { faults: { dropTx: 0.5, random: faultAt(2) } }, setup).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        // the simulator ignores a repeated flash init like the firmware
+        assert.strictEqual(sent.filter((cmd) => cmd === CMD_FLASH_INIT).length, 1);
+        assert.strictEqual(sent[1], CMD_FLASH_SET_ADDRESS);
+        assert.strictEqual(session.result.stats.retransmits, 1);
+      });
+    });
+
+    it('sends a lost flash done again', function () {
+      const image = createImage(20);
+      return runSession({ hex: image, verify: false }, {}, dropSent(CMD_FLASH_DONE, 1)).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.stats.retransmits, 1);
+      });
+    });
+
+    it('sends a lost start of the app again', function () {
+      const image = createImage(20);
+      return runSession({ hex: image }, {}, dropSent(CMD_START_APP, 1)).then((session) => {
+        assertSuccess(session);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.stats.retransmits, 1);
+      });
+    });
+
+    it('fails with a timeout if the start of the app never reaches the MCU', function () {
+      return runSession({ hex: createImage(20) }, {}, dropSent(CMD_START_APP)).then((session) => {
+        assertFailure(session, EXIT_CODES.TIMEOUT);
+        assert.ok(!session.appStarted);
+      });
+    });
+
+    it('fails with a timeout if the flash done never reaches the MCU', function () {
+      return runSession({ hex: createImage(20), verify: false }, {}, dropSent(CMD_FLASH_DONE)).then((session) => {
+        assertFailure(session, EXIT_CODES.TIMEOUT);
+        assert.ok(!session.appStarted);
+      });
+    });
+
+    it('fails with a timeout if the MCU does not respond', function () {
+      return runSession({ hex: createImage(20) }, { faults: { dropRx: 1 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.TIMEOUT);
+      });
+    });
+  });
+
+  describe('data errors', function () {
+
+    it('recovers from flash data errors', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, dataErrorRetries: 5 }, { faults: { dataErrorRate: 0.05, random: seededRandom(4) } }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.result.stats.retransmits > 0);
+      });
+    });
+
+    it('recovers from flash data errors with multiple data frames in flight', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, window: 8, dataErrorRetries: 5 }, { version: 0x03, faults: { dataErrorRate: 0.05, random: seededRandom(5) } }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+      });
+    });
+
+    it('fails after too many flash data errors', function () {
+      return runSession({ hex: createImage(20) }, { faults: { dataErrorRate: 1 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.DATA_ERROR);
+      });
+    });
+  });
+
+  describe('address errors', function () {
+
+    it('fails if the MCU rejects an address', function () {
+      return runSession({ hex: createImage(0x200) }, { faults: { addressErrorAt: 0x100 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.ADDRESS_ERROR);
+        assert.strictEqual(session.sim.flash[0x100], 0xFF);
+      });
+    });
+
+    it('rejects an image exceeding the program space before writing', function () {
+      // m328p with a 4096 bytes bootloader section ends at 0x6FFF
+      return runSession({ hex: createImage(0x200, 0x6F00) }).then((session) => {
+        assertFailure(session, EXIT_CODES.ADDRESS_ERROR);
+        assert.ok(session.sim.flash.every((b) => b === 0xFF));
+        assert.ok(session.appStarted);
+      });
+    });
+  });
+
+  describe('device and version checks', function () {
+
+    it('fails on a wrong device signature', function () {
+      return runSession({ hex: createImage(20) }, { faults: { wrongSignature: [ 0x1E, 0x97, 0x05 ] } }).then((session) => {
+        assertFailure(session, EXIT_CODES.SIGNATURE_MISMATCH);
+        assert.ok(session.sim.flash.every((b) => b === 0xFF));
+      });
+    });
+
+    it('fails on an unknown device signature when detecting the device', function () {
+      return runSession({ hex: createImage(20), partno: 'auto' }, { faults: { wrongSignature: [ 0x1E, 0xFF, 0xFF ] } }).then((session) => {
+        assertFailure(session, EXIT_CODES.SIGNATURE_MISMATCH);
+      });
+    });
+
+    it('fails on an unsupported bootloader command version', function () {
+      return runSession({ hex: createImage(20) }, { version: 0x7F }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERSION_MISMATCH);
+      });
+    });
+
+    it('fails on EEPROM access with command version 0x01', function () {
+      return runSession({ eepromRead: true }, { version: 0x01 }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERSION_MISMATCH);
+      });
+    });
+  });
+
+  describe('incremental flashing', function () {
+
+    // flash content of the simulator with the image and the given changes
+    const flashWith = (image, changes) => {
+      const flash = new Uint8Array(32768).fill(0xFF);
+      for (const [ addr, block ] of image) {
+        flash.set(block, addr);
+      }
+      Object.keys(changes || {}).forEach((addr) => {
+        flash[addr] = changes[addr];
+      });
+      return flash;
+    };
+
+    it('writes only the changed pages', function () {
+      const image = createImage(500);
+      return runSession({ hex: image, incremental: true }, { flash: flashWith(image, { 0x90: 0x00 }) }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.incremental.pages, 4);
+        assert.strictEqual(session.result.incremental.changedPages, 1);
+        assert.strictEqual(session.result.incremental.bytesSkipped, 372);
+        assert.strictEqual(session.result.stats.bytesWritten, 128);
+        assert.strictEqual(session.result.verify.ok, true);
+      });
+    });
+
+    it('keeps the contents of a changed page outside of the image', function () {
+      const image = createImage(16, 0x20);
+      const flash = flashWith(image, { 0x00: 0x12, 0x7F: 0x34 });
+      flash[0x20] ^= 0xFF;
+      return runSession({ hex: image, incremental: true }, { flash: flash }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.sim.flash[0x00], 0x12);
+        assert.strictEqual(session.sim.flash[0x7F], 0x34);
+        assert.strictEqual(session.result.incremental.changedPages, 1);
+      });
+    });
+
+    it('writes nothing if the flash is up to date', function () {
+      const image = createImage(300, 0x100);
+      return runSession({ hex: image, incremental: true }, { flash: flashWith(image) }).then((session) => {
+        assertSuccess(session);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.incremental.changedPages, 0);
+        assert.strictEqual(session.result.incremental.bytesSkipped, 300);
+        assert.strictEqual(session.result.stats.bytesWritten, 0);
+      });
+    });
+
+    it('writes all pages to an erased flash', function () {
+      const image = createImage(300);
+      return runSession({ hex: image, incremental: true }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.strictEqual(session.result.incremental.changedPages, 3);
+        assert.strictEqual(session.result.incremental.bytesSkipped, 0);
+      });
+    });
+  });
+
+  describe('corrupt flash', function () {
+
+    it('fails the verify on a corrupt byte', function () {
+      return runSession({ hex: createImage(100) }, { faults: { corruptAt: 0x10 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERIFY_FAILED);
+      });
+    });
+
+    it('reports the corrupt byte in the full verify', function () {
+      return runSession({ hex: createImage(100), fullVerify: true }, { faults: { corruptAt: 0x10 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERIFY_FAILED);
+        assert.strictEqual(session.error.verifyReport.bytesMismatched, 1);
+        assert.strictEqual(session.error.verifyReport.ranges.length, 1);
+        assert.ok(session.appStarted);
+      });
+    });
+
+    it('collects all mismatching ranges in the full verify', function () {
+      const image = createImage(100);
+      const flash = new Uint8Array(32768).fill(0xFF);
+      flash.set(image.get(0));
+      flash[0x10] = 0x00;
+      flash[0x11] = 0x01;
+      flash[0x40] = 0x02;
+      return runSession({ hex: image, verifyOnly: true }, { flash: flash }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERIFY_FAILED);
+        const report = session.error.verifyReport;
+        assert.strictEqual(report.bytesChecked, 100);
+        assert.strictEqual(report.bytesMismatched, 3);
+        assert.deepStrictEqual(report.ranges.map((r) => [ r.start, r.end, r.actual ]), [ [ 0x10, 0x11, '0001' ], [ 0x40, 0x40, '02' ] ]);
+      });
+    });
+
+    it('stays in the bootloader after a failed verify if requested', function () {
+      return runSession({ hex: createImage(100), onVerifyFail: 'stay' }, { faults: { corruptAt: 0x10 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERIFY_FAILED);
+        assert.strictEqual(session.error.verifyReport.bytesMismatched, 1);
+        assert.ok(!session.appStarted);
+      });
+    });
+
+    it('flashes the pages of the failing ranges again', function () {
+      const image = createImage(300);
+      return runSession({ hex: image, onVerifyFail: 'reflash' }, { faults: { corruptAt: 0x90 } }, ({ app, sim }) => {
+        // the corruption is gone after the first verify
+        app.once('verify', () => {
+          sim.faults.corruptAt = null;
+        });
+      }).then((session) => {
+        assertSuccess(session);
+        assertContains(session.sim.flash, image);
+        assert.ok(session.appStarted);
+        assert.strictEqual(session.result.verify.ok, true);
+        assert.strictEqual(session.result.stats.bytesWritten, 300 + 128);
+      });
+    });
+
+    it('fails if the verify fails again after flashing the failing ranges again', function () {
+      return runSession({ hex: createImage(300), onVerifyFail: 'reflash' }, { faults: { corruptAt: 0x90 } }).then((session) => {
+        assertFailure(session, EXIT_CODES.VERIFY_FAILED);
+        assert.strictEqual(session.error.verifyReport.bytesMismatched, 1);
+        assert.strictEqual(session.result, null);
+        assert.ok(session.appStarted);
+      });
+    });
+
+    it('rejects an unknown verify fail policy', function () {
+      assert.throws(() => new FlashApp({ mcuId: MCU_ID, onVerifyFail: 'retry' }), /Unknown verify fail policy retry/);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the firmware image formats.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const MemoryMap = require('nrf-intel-hex');
+
+const { EXIT_CODES } = require('../lib/errors');
+const {
+  FORMAT_BIN,
+  FORMAT_ELF,
+  FORMAT_HEX,
+  FORMAT_SREC,
+  formatFromFilename,
+  formatMemMap,
+  fromElf,
+  fromSrec,
+  loadImage,
+  trimErasedPages,
+} = require('../lib/formats');
+const { createImage } = require('./helpers');
+
+/**
+ * Build a 32 bit little endian ELF file with a program header per segment.
+ * @param {{ type?: number, paddr: number, data: number[] }[]} segments
+ * @returns {Buffer}
+ */
+function buildElf (segments) {
+  const phoff = 0x34;
+  let offset = phoff + segments.length * 0x20;
+  const header = Buffer.alloc(offset);
+  header.set([ 0x7F, 0x45, 0x4C, 0x46, 1, 1, 1 ]);
+  header.writeUInt16LE(2, 0x10); // executable
+  header.writeUInt16LE(0x53, 0x12); // AVR
+  header.writeUInt32LE(phoff, 0x1C);
+  header.writeUInt16LE(0x34, 0x28);
+  header.writeUInt16LE(0x20, 0x2A);
+  header.writeUInt16LE(segments.length, 0x2C);
+
+  segments.forEach((segment, i) => {
+    const ph = phoff + i * 0x20;
+    header.writeUInt32LE(segment.type === undefined ? 1 : segment.type, ph);
+    header.writeUInt32LE(offset, ph + 4);
+    header.writeUInt32LE(segment.paddr, ph + 8);
+    header.writeUInt32LE(segment.paddr, ph + 12);
+    header.writeUInt32LE(segment.data.length, ph + 16);
+    header.writeUInt32LE(segment.data.length, ph + 20);
+    offset += segment.data.length;
+  });
+  return Buffer.concat([ header ].concat(segments.map((segment) => Buffer.from(segment.data))));
+}
+
+const assertInvalidElf = (data, message) => {
+  assert.throws(() => fromElf(data), (err) => {
+    assert.strictEqual(err.exitCode, EXIT_CODES.ERROR);
+    assert.ok(err.message.startsWith(`Invalid ELF file: ${message}`), err.message);
+    return true;
+  });
+};
+
+describe('formats', function () {
+
+  describe('output', function () {
+
+    const assertRoundTrip = (memMap, format) => {
+      const loaded = loadImage(formatMemMap(memMap, format), { format: format });
+      assert.deepStrictEqual(Array.from(loaded.keys()), Array.from(memMap.keys()));
+      for (const [ addr, block ] of memMap) {
+        assert.deepStrictEqual(Array.from(loaded.get(addr)), Array.from(block));
+      }
+    };
+
+    it('writes and loads Intel HEX files', function () {
+      assertRoundTrip(createImage(300, 0x1000), FORMAT_HEX);
+    });
+
+    it('writes and loads S-record files with all address sizes', function () {
+      const srec16 = formatMemMap(createImage(100), FORMAT_SREC).toString();
+      assert.ok(srec16.startsWith('S0'));
+      assert.ok(/\nS1/.test(srec16) && /\nS9/.test(srec16));
+      assertRoundTrip(createImage(100), FORMAT_SREC);
+
+      const srec24 = formatMemMap(createImage(100, 0x1FF00), FORMAT_SREC).toString();
+      assert.ok(/\nS2/.test(srec24) && /\nS8/.test(srec24));
+      assertRoundTrip(createImage(100, 0x1FF00), FORMAT_SREC);
+
+      const srec32 = formatMemMap(createImage(100, 0x1000000), FORMAT_SREC).toString();
+      assert.ok(/\nS3/.test(srec32) && /\nS7/.test(srec32));
+      assertRoundTrip(createImage(100, 0x1000000), FORMAT_SREC);
+    });
+
+    it('writes raw binaries from the lowest address with gaps filled by 0xFF', function () {
+      const memMap = new MemoryMap();
+      memMap.set(0x10, Uint8Array.from([ 1, 2 ]));
+      memMap.set(0x14, Uint8Array.from([ 3 ]));
+      assert.deepStrictEqual(Array.from(formatMemMap(memMap, FORMAT_BIN)), [ 1, 2, 0xFF, 0xFF, 3 ]);
+    });
+
+    it('rejects unknown output formats', function () {
+      assert.throws(() => formatMemMap(createImage(10), FORMAT_ELF), /Unknown file format elf/);
+    });
+
+    it('detects the format by the file extension', function () {
+      assert.strictEqual(formatFromFilename('dump.HEX'), FORMAT_HEX);
+      assert.strictEqual(formatFromFilename('dump.bin'), FORMAT_BIN);
+      assert.strictEqual(formatFromFilename('dump.s19'), FORMAT_SREC);
+      assert.strictEqual(formatFromFilename('dump.txt'), null);
+    });
+
+    it('rejects S-record files with a wrong checksum', function () {
+      const srec = formatMemMap(createImage(10), FORMAT_SREC).toString().split('\n');
+      srec[1] = srec[1].slice(0, -2) + (srec[1].endsWith('00') ? '01' : '00');
+      assert.throws(() => fromSrec(srec.join('\n')), /Wrong checksum in line 2/);
+    });
+  });
+
+  describe('input', function () {
+
+    it('loads raw binaries at the base address', function () {
+      const memMap = loadImage(Buffer.from([ 1, 2, 3 ]), { filename: 'firmware.bin', baseAddress: 0x200 });
+      assert.deepStrictEqual(Array.from(memMap.keys()), [ 0x200 ]);
+      assert.deepStrictEqual(Array.from(memMap.get(0x200)), [ 1, 2, 3 ]);
+    });
+
+    it('detects Intel HEX files by the content', function () {
+      const hex = formatMemMap(createImage(16, 0x100), FORMAT_HEX);
+      assert.deepStrictEqual(Array.from(loadImage(hex, { filename: 'firmware' }).keys()), [ 0x100 ]);
+      assert.deepStrictEqual(Array.from(loadImage(hex.toString()).keys()), [ 0x100 ]);
+    });
+
+    it('loads everything else as raw binary', function () {
+      const memMap = loadImage(Buffer.from('no hex'), { filename: 'firmware' });
+      assert.strictEqual(Buffer.from(memMap.get(0)).toString(), 'no hex');
+    });
+
+    it('rejects unknown input formats', function () {
+      assert.throws(() => loadImage(Buffer.from([ 1 ]), { format: 'coff' }), /The file format coff is not supported as input/);
+    });
+  });
+
+  describe('trimErasedPages', function () {
+
+    const erased = (size) => new Uint8Array(size).fill(0xFF);
+
+    it('removes interior and trailing erased pages', function () {
+      const memMap = new MemoryMap();
+      const data = erased(64);
+      data[3] = 0x00; // page 0
+      data[40] = 0x01; // page 2
+      memMap.set(0, data);
+      const trimmed = trimErasedPages(memMap, 16);
+      assert.strictEqual(trimmed.pages, 2);
+      assert.strictEqual(trimmed.bytes, 32);
+      assert.deepStrictEqual(Array.from(trimmed.memMap.keys()), [ 0, 32 ]);
+      assert.strictEqual(trimmed.memMap.get(0).length, 16);
+      assert.strictEqual(trimmed.memMap.get(32)[8], 0x01);
+    });
+
+    it('keeps only the data of partly covered pages', function () {
+      const memMap = new MemoryMap();
+      memMap.set(0x0C, Uint8Array.from([ 1, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF ]));
+      memMap.set(0x30, erased(4));
+      const trimmed = trimErasedPages(memMap, 16);
+      assert.strictEqual(trimmed.pages, 2);
+      assert.strictEqual(trimmed.bytes, 6);
+      assert.deepStrictEqual(Array.from(trimmed.memMap.keys()), [ 0x0C ]);
+      assert.deepStrictEqual(Array.from(trimmed.memMap.get(0x0C)), [ 1, 0xFF, 0xFF, 0xFF ]);
+    });
+
+    it('returns an empty memory map for fully erased data', function () {
+      const memMap = new MemoryMap();
+      memMap.set(0, erased(100));
+      const trimmed = trimErasedPages(memMap, 32);
+      assert.strictEqual(trimmed.memMap.size, 0);
+      assert.strictEqual(trimmed.pages, 4);
+      assert.strictEqual(trimmed.bytes, 100);
+    });
+  });
+
+  describe('ELF', function () {
+
+    it('loads the flash segments at their load address', function () {
+      const elf = buildElf([
+        { paddr: 0x0000, data: [ 1, 2, 3, 4 ] },
+        { paddr: 0x0004, data: [ 5, 6 ] },
+        { paddr: 0x810000, data: [ 0xAA ] }, // EEPROM
+      ]);
+      const memMap = loadImage(elf, { filename: 'firmware.elf' });
+      assert.deepStrictEqual(Array.from(memMap.keys()), [ 0 ]);
+      assert.deepStrictEqual(Array.from(memMap.get(0)), [ 1, 2, 3, 4, 5, 6 ]);
+    });
+
+    it('detects ELF files by the magic bytes', function () {
+      const elf = buildElf([ { paddr: 0x0100, data: [ 1, 2 ] } ]);
+      assert.deepStrictEqual(Array.from(loadImage(elf, { filename: 'firmware.bin' }).get(0x0100)), [ 1, 2 ]);
+      assert.deepStrictEqual(Array.from(loadImage(elf, { format: FORMAT_ELF }).get(0x0100)), [ 1, 2 ]);
+    });
+
+    it('uses the allocated sections of files without program headers', function () {
+      const elf = buildElf([]);
+      const shoff = elf.length + 4;
+      elf.writeUInt32LE(shoff, 0x20);
+      elf.writeUInt16LE(0x28, 0x2E);
+      elf.writeUInt16LE(2, 0x30);
+      const sections = Buffer.alloc(2 * 0x28);
+      [ 0x2, 0x0 ].forEach((flags, i) => {
+        sections.writeUInt32LE(1, i * 0x28 + 4); // PROGBITS
+        sections.writeUInt32LE(flags, i * 0x28 + 8);
+        sections.writeUInt32LE(0x10, i * 0x28 + 12);
+        sections.writeUInt32LE(elf.length, i * 0x28 + 16);
+        sections.writeUInt32LE(4, i * 0x28 + 20);
+      });
+      const memMap = fromElf(Buffer.concat([ elf, Buffer.from([ 1, 2, 3, 4 ]), sections ]));
+      assert.deepStrictEqual(Array.from(memMap.keys()), [ 0x10 ]);
+      assert.deepStrictEqual(Array.from(memMap.get(0x10)), [ 1, 2, 3, 4 ]);
+    });
+
+    it('rejects a truncated header', function () {
+      assertInvalidElf(buildElf([ { paddr: 0, data: [ 1 ] } ]).subarray(0, 0x20), 'truncated header');
+    });
+
+    it('rejects a truncated program header', function () {
+      assertInvalidElf(buildElf([ { paddr: 0, data: [ 1 ] } ]).subarray(0, 0x40), 'truncated program header 0');
+    });
+
+    it('rejects a truncated segment', function () {
+      const elf = buildElf([ { paddr: 0, data: [ 1, 2, 3, 4, 5, 6, 7, 8 ] } ]);
+      assertInvalidElf(elf.subarray(0, elf.length - 3), 'truncated segment 0');
+    });
+
+    it('rejects files without flash contents', function () {
+      assertInvalidElf(buildElf([ { paddr: 0x810000, data: [ 1 ] } ]), 'No loadable flash contents');
+    });
+  });
+});
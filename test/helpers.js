@@ -0,0 +1,141 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Helpers to run flash app sessions against the bootloader simulator.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const MemoryMap = require('nrf-intel-hex');
+
+const { FlashApp } = require('../lib/flash-app');
+const { BootloaderSimulator } = require('../lib/simulator');
+const { VirtualCanBus } = require('../lib/transports');
+
+const MCU_ID = 0x0042;
+
+/**
+ * Create a memory map with `size` bytes of a counting pattern at the given address.
+ * @param {number} size
+ * @param {number} [addr=0]
+ * @returns {MemoryMap}
+ */
+function createImage (size, addr = 0) {
+  const data = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = (i * 7 + 3) & 0xFF;
+  }
+  const memMap = new MemoryMap();
+  memMap.set(addr, data);
+  return memMap;
+}
+
+/**
+ * Deterministic random number generator for the fault injection of the simulator.
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seededRandom (seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Random number generator hitting a fault only at the given calls (1-based), e.g. to drop the n-th frame.
+ * @param {...number} calls
+ * @returns {Function}
+ */
+function faultAt (...calls) {
+  let count = 0;
+  return () => (calls.includes(++count) ? 0 : 1);
+}
+
+/**
+ * Run a flash app session against a simulator on a virtual CAN bus.
+ * @param {Object} appOptions Options of the flash app, `mcuId`, `partno` and the transport are set
+ * @param {Object} [simOptions] Options of the simulator, `mcuId`, `partno` and the transport are set
+ * @param {Function} [setup] Called with `{ app, sim, simTransport }` before the session is started
+ * @returns {Promise<{ app: FlashApp, sim: BootloaderSimulator, result: Object|null, error: Error|null, appStarted: boolean }>}
+ *   Always resolves, `error` is set if the session failed and `appStarted` if the simulated MCU started the app.
+ */
+function runSession (appOptions, simOptions, setup) {
+  const bus = new VirtualCanBus();
+  const appTransport = bus.createTransport();
+  const simTransport = bus.createTransport();
+  appTransport.start();
+  simTransport.start();
+
+  const sim = new BootloaderSimulator(Object.assign({
+    transport: simTransport,
+    mcuId: MCU_ID,
+    partno: 'm328p',
+    startInterval: 20,
+  }, simOptions));
+  const app = new FlashApp(Object.assign({
+    transport: appTransport,
+    mcuId: MCU_ID,
+    partno: 'm328p',
+    timeout: 50,
+  }, appOptions));
+
+  if (setup) {
+    setup({ app: app, sim: sim, simTransport: simTransport });
+  }
+
+  let appStarted = false;
+  sim.on('appStarted', () => {
+    appStarted = true;
+  });
+
+  sim.start();
+  const done = (result, error) => {
+    sim.stop();
+    return { app: app, sim: sim, result: result, error: error, appStarted: appStarted };
+  };
+  return app.run().then((result) => done(result, null), (err) => done(null, err));
+}
+
+/**
+ * Check that the memory of the simulator contains the data of the memory map.
+ * @param {Uint8Array} memory Flash or EEPROM of the simulator
+ * @param {MemoryMap} memMap
+ */
+function assertContains (memory, memMap) {
+  for (const [ addr, block ] of memMap) {
+    assert.deepStrictEqual(Buffer.from(memory.subarray(addr, addr + block.length)), Buffer.from(block), `data at ${addr} differs`);
+  }
+}
+
+/**
+ * Check that the session succeeded.
+ * @param {{ error: Error|null }} session
+ */
+function assertSuccess (session) {
+  assert.strictEqual(session.error, null, session.error ? session.error.message : '');
+}
+
+/**
+ * Check that the session failed with the given exit code.
+ * @param {{ error: Error|null }} session
+ * @param {number} exitCode
+ */
+function assertFailure (session, exitCode) {
+  assert.ok(session.error, 'the session should fail');
+  assert.strictEqual(session.error.exitCode, exitCode, session.error.message);
+}
+
+module.exports = {
+  MCU_ID,
+  assertContains,
+  assertFailure,
+  assertSuccess,
+  createImage,
+  faultAt,
+  runSession,
+  seededRandom,
+};
@@ -0,0 +1,112 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of loading the manifest of a batch flash.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EXIT_CODES } = require('../lib/errors');
+const { loadManifest } = require('../lib/manifest');
+
+describe('loadManifest', function () {
+
+  let tmpDir;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-manifest-'));
+    fs.mkdirSync(path.join(tmpDir, 'fw'));
+    fs.writeFileSync(path.join(tmpDir, 'fw', 'node.hex'), ':0400000001020304F2\n:00000001FF\n');
+    fs.writeFileSync(path.join(tmpDir, 'fw', 'node.bin'), Buffer.from([ 0xAA, 0xBB ]));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeManifest = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  const assertInvalid = (content, message, exitCode) => {
+    const file = writeManifest('invalid.json', content);
+    assert.throws(() => loadManifest(file), (err) => {
+      assert.strictEqual(err.exitCode, exitCode || EXIT_CODES.ERROR);
+      assert.ok(err.message.includes(message), err.message);
+      return true;
+    });
+  };
+
+  it('loads a YAML manifest with defaults and images relative to the manifest', function () {
+    const file = writeManifest('nodes.yaml', [
+      'concurrent: true',
+      'defaults:',
+      '  partno: m328p',
+      '  canIdMcu: "0x1FFFFF01"',
+      'nodes:',
+      '  - mcuId: "0x0042"',
+      '    file: fw/node.hex',
+      '  - mcuId: 67',
+      '    partno: m1284p',
+      '    file: fw/node.bin',
+      '    baseAddress: "0x100"',
+    ].join('\n'));
+    const manifest = loadManifest(file);
+    assert.strictEqual(manifest.concurrent, true);
+    assert.strictEqual(manifest.nodes.length, 2);
+
+    const [ first, second ] = manifest.nodes;
+    assert.strictEqual(first.mcuId, 0x42);
+    assert.strictEqual(first.partno, 'm328p');
+    assert.strictEqual(first.canIdMcu, 0x1FFFFF01);
+    assert.strictEqual(first.file, path.join(tmpDir, 'fw', 'node.hex'));
+    assert.deepStrictEqual(Array.from(first.hex.get(0)), [ 1, 2, 3, 4 ]);
+
+    assert.strictEqual(second.mcuId, 67);
+    assert.strictEqual(second.partno, 'm1284p');
+    assert.deepStrictEqual(Array.from(second.hex.get(0x100)), [ 0xAA, 0xBB ]);
+  });
+
+  it('loads a JSON manifest', function () {
+    const file = writeManifest('nodes.json', { nodes: [ { mcuId: 1, file: 'fw/node.hex' } ] });
+    const manifest = loadManifest(file);
+    assert.strictEqual(manifest.concurrent, false);
+    assert.strictEqual(manifest.nodes[0].mcuId, 1);
+  });
+
+  it('rejects a manifest which cannot be parsed', function () {
+    assertInvalid('{ nodes: ', 'Failed to load manifest file');
+  });
+
+  it('rejects a missing manifest file', function () {
+    assert.throws(() => loadManifest(path.join(tmpDir, 'missing.json')), /Failed to load manifest file/);
+  });
+
+  it('rejects a manifest without nodes', function () {
+    assertInvalid({ nodes: [] }, 'A list of nodes must be provided');
+  });
+
+  it('rejects nodes without a valid MCU ID', function () {
+    assertInvalid({ nodes: [ { mcuId: 'foo', file: 'fw/node.hex' } ] }, 'Node 1 has no valid mcuId');
+  });
+
+  it('rejects nodes without a file', function () {
+    assertInvalid({ nodes: [ { mcuId: 1, file: 'fw/node.hex' }, { mcuId: 2 } ] }, 'Node 2 has no file');
+  });
+
+  it('rejects nodes with a missing file', function () {
+    assertInvalid({ nodes: [ { mcuId: 1, file: 'fw/missing.hex' } ] }, 'does not exist', EXIT_CODES.IO_ERROR);
+  });
+
+  it('rejects nodes with an invalid image', function () {
+    assertInvalid({ nodes: [ { mcuId: 1, file: 'fw/node.bin', format: 'hex' } ] }, 'Failed to load input file');
+  });
+});
@@ -0,0 +1,148 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of resetting the MCU into the bootloader.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EXIT_CODES } = require('../lib/errors');
+const { FlashApp } = require('../lib/flash-app');
+const { loadResetFile, matchesResetAck, parseCanFrame, parseResetAck, parseResetSequence } = require('../lib/reset');
+const { MCU_ID, assertFailure, assertSuccess, createImage, runSession } = require('./helpers');
+
+const RESET_ID = 0x123;
+const ACK_ID = 0x321;
+
+/**
+ * Setup of a session where the app of the MCU enters the bootloader after the given reset frames.
+ * @param {Object[]} frames Received reset frames with the time they were received
+ * @param {Object} [options] `count` of reset frames needed to enter the bootloader (default 1)
+ *   and `ackFrom` the number of the first reset frame to acknowledge
+ */
+function appAwaitingReset (frames, options = {}) {
+  return ({ sim, simTransport }) => {
+    const start = sim.start.bind(sim);
+    sim.start = () => {};
+    simTransport.on('message', (msg) => {
+      if (msg.id !== RESET_ID || sim.state !== 'idle') return;
+      frames.push({ ts: Date.now(), data: msg.data.toString('hex') });
+      if (options.ackFrom && frames.length >= options.ackFrom) {
+        simTransport.send({ id: ACK_ID, ext: false, rtr: false, data: Buffer.from([ 0x01, 0x42 ]) });
+      }
+      if (frames.length >= (options.count || 1)) {
+        start();
+      }
+    });
+  };
+}
+
+describe('reset', function () {
+  this.timeout(10000);
+
+  describe('parseCanFrame', function () {
+
+    it('parses standard and extended frames', function () {
+      assert.deepStrictEqual(parseCanFrame('123#DEADbeef'), { id: 0x123, ext: false, rtr: false, data: Buffer.from([ 0xDE, 0xAD, 0xBE, 0xEF ]) });
+      assert.deepStrictEqual(parseCanFrame('1FFFFFFF#'), { id: 0x1FFFFFFF, ext: true, rtr: false, data: Buffer.alloc(0) });
+    });
+
+    it('rejects malformed frames', function () {
+      const assertInvalid = (str, message) => assert.throws(() => parseCanFrame(str), (err) => err.message.startsWith(`Invalid CAN frame "${str}": ${message}`));
+      assertInvalid('123', 'The format must be');
+      assertInvalid('1234#00', 'The can_id is not valid');
+      assertInvalid('800#00', 'The can_id exceeds the maximum of 7FF');
+      assertInvalid('20000000#00', 'The can_id exceeds the maximum of 1FFFFFFF');
+      assertInvalid('123#0G', 'The data bytes must be provided as hex numbers');
+      assertInvalid('123#001', 'The data must be given as pairs of hex digits, 3 digits given');
+      assertInvalid('123#000102030405060708', 'At most 8 data bytes are allowed, 9 given');
+    });
+  });
+
+  describe('parseResetSequence', function () {
+
+    it('parses frames, delays and comments', function () {
+      const steps = parseResetSequence([
+        '; enter the bootloader',
+        '123#01, 50ms',
+        '// twice',
+        '123#02 10',
+      ].join('\n'));
+      assert.deepStrictEqual(steps.map((step) => (step.frame ? step.frame.data.toString('hex') : step.delay)), [ '01', 50, '02', 10 ]);
+    });
+
+    it('accepts an array of frames and delays', function () {
+      const steps = parseResetSequence([ '123#01', 20, '20ms' ]);
+      assert.deepStrictEqual(steps.slice(1), [ { delay: 20 }, { delay: 20 } ]);
+    });
+
+    it('rejects malformed sequences', function () {
+      assert.throws(() => parseResetSequence('123#01 12#00'), /^FlashAppError: Reset sequence format error! Item 2: Invalid reset frame "12#00"/);
+      assert.throws(() => parseResetSequence([ '123#01', -1 ]), /Item 2: The delay must be a positive number/);
+      assert.throws(() => parseResetSequence('100ms'), /At least one CAN frame must be provided/);
+    });
+
+    it('loads the sequence from a file', function () {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-reset-'));
+      try {
+        const file = path.join(tmpDir, 'reset.txt');
+        fs.writeFileSync(file, '123#01\n100ms\n');
+        assert.strictEqual(parseResetSequence(loadResetFile(file)).length, 2);
+        assert.throws(() => loadResetFile(path.join(tmpDir, 'missing.txt')), (err) => err.exitCode === EXIT_CODES.IO_ERROR);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('reset acknowledge', function () {
+
+    it('compares only the given data bytes', function () {
+      const ack = parseResetAck('321#01');
+      assert.ok(matchesResetAck(ack, { id: ACK_ID, ext: false, data: Buffer.from([ 0x01, 0x42 ]) }));
+      assert.ok(!matchesResetAck(ack, { id: ACK_ID, ext: false, data: Buffer.from([ 0x02 ]) }));
+      assert.ok(!matchesResetAck(ack, { id: ACK_ID, ext: true, data: Buffer.from([ 0x01 ]) }));
+      assert.ok(matchesResetAck(parseResetAck('321'), { id: ACK_ID, ext: false, data: Buffer.alloc(0) }));
+    });
+  });
+
+  describe('session', function () {
+
+    it('sends the reset sequence with its delays before flashing', function () {
+      const frames = [];
+      const image = createImage(50);
+      return runSession({ hex: image, reset: [ '123#01', 30, '123#02' ] }, {}, appAwaitingReset(frames, { count: 2 })).then((session) => {
+        assertSuccess(session);
+        assert.deepStrictEqual(frames.map((f) => f.data), [ '01', '02' ]);
+        assert.ok(frames[1].ts - frames[0].ts >= 25, `delay ${frames[1].ts - frames[0].ts} ms`);
+      });
+    });
+
+    it('sends the reset sequence again until the app acknowledges it', function () {
+      const frames = [];
+      return runSession({ hex: createImage(50), reset: '123#01', resetAck: '321#01', timeout: 30 }, {}, appAwaitingReset(frames, { ackFrom: 3, count: 3 })).then((session) => {
+        assertSuccess(session);
+        assert.strictEqual(session.app.resetCount, 3);
+        assert.ok(session.app.resetAcked);
+      });
+    });
+
+    it('fails with a timeout if the app never acknowledges the reset', function () {
+      const frames = [];
+      return runSession({ hex: createImage(50), reset: '123#01', resetAck: '321#01', timeout: 20, retries: 2 }, {}, appAwaitingReset(frames, { count: 10 })).then((session) => {
+        assertFailure(session, EXIT_CODES.TIMEOUT);
+        assert.strictEqual(frames.length, 3);
+      });
+    });
+
+    it('needs a reset sequence to wait for the acknowledge', function () {
+      assert.throws(() => new FlashApp({ mcuId: MCU_ID, hex: createImage(10), resetAck: '321#01' }), /A reset sequence must be given/);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the bus scan.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+
+const { CMD_PING } = require('../lib/constants');
+const { scan } = require('../lib/scanner');
+const { BootloaderSimulator } = require('../lib/simulator');
+const { VirtualCanBus } = require('../lib/transports');
+
+describe('scan', function () {
+
+  let bus;
+  let transport;
+  let sims;
+
+  beforeEach(function () {
+    bus = new VirtualCanBus();
+    transport = bus.createTransport();
+    transport.start();
+    sims = [];
+  });
+
+  afterEach(function () {
+    sims.forEach((sim) => sim.stop());
+  });
+
+  const addSim = (options) => {
+    const simTransport = bus.createTransport();
+    simTransport.start();
+    const sim = new BootloaderSimulator(Object.assign({ transport: simTransport, startInterval: 20 }, options));
+    sim.start();
+    sims.push(sim);
+  };
+
+  it('finds all bootloaders sorted by MCU ID', function () {
+    addSim({ mcuId: 0x0102, partno: 'm1284p' });
+    addSim({ mcuId: 0x0042, partno: 'm328p' });
+    const found = [];
+    return scan({ transport: transport, duration: 100 }, { found: (entry) => found.push(entry.mcuId) }).then((result) => {
+      assert.deepStrictEqual(found.slice().sort((a, b) => a - b), [ 0x0042, 0x0102 ]);
+      assert.deepStrictEqual(result.map((entry) => entry.mcuId), [ 0x0042, 0x0102 ]);
+      assert.strictEqual(result[0].device.partno, 'm328p');
+      assert.deepStrictEqual(result[1].signature, [ 0x1E, 0x97, 0x05 ]);
+      assert.strictEqual(result[1].version, 0x01);
+      assert.ok(result[1].capabilities);
+    });
+  });
+
+  it('counts repeated start messages of a bootloader once', function () {
+    addSim({ mcuId: 0x0042, partno: 'm328p' });
+    const found = [];
+    return scan({ transport: transport, duration: 150 }, { found: (entry) => found.push(entry) }).then((result) => {
+      assert.strictEqual(found.length, 1);
+      assert.strictEqual(result.length, 1);
+      assert.ok(result[0].count > 1, `count ${result[0].count}`);
+      assert.ok(result[0].lastSeen >= result[0].firstSeen);
+    });
+  });
+
+  it('reports bootloaders of unknown devices and versions', function () {
+    addSim({ mcuId: 0x0042, signature: [ 0x1E, 0x00, 0x00 ], flashSize: 32768, version: 0x7F });
+    return scan({ transport: transport, duration: 100 }).then((result) => {
+      assert.strictEqual(result[0].device, null);
+      assert.strictEqual(result[0].version, 0x7F);
+      assert.strictEqual(result[0].capabilities, null);
+    });
+  });
+
+  it('ignores bootloaders using other CAN-IDs', function () {
+    addSim({ mcuId: 0x0042, partno: 'm328p', canIdMcu: 0x1234 });
+    return scan({ transport: transport, duration: 100 }).then((result) => {
+      assert.deepStrictEqual(result, []);
+    });
+  });
+
+  it('sends pings to all MCU IDs', function () {
+    const pings = [];
+    const listener = bus.createTransport();
+    listener.start();
+    listener.on('message', (msg) => pings.push(msg));
+    return scan({ transport: transport, duration: 100, ping: 20 }).then(() => {
+      assert.ok(pings.length >= 2, `${pings.length} pings`);
+      assert.deepStrictEqual(Array.from(pings[0].data.subarray(0, 3)), [ 0x00, 0x00, CMD_PING ]);
+      assert.strictEqual(pings[0].ext, true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of the CAN trace and the decoding of candump logs.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CMD_BOOTLOADER_START, CMD_FLASH_DATA } = require('../lib/constants');
+const { EXIT_CODES } = require('../lib/errors');
+const { CanTrace, decodeFrame, formatCandumpLine, formatDecodedLine, parseCandumpLine } = require('../lib/trace');
+const { createImage, runSession } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'flash-app.js');
+
+const BOOTLOADER_START = { id: 0x1FFFFF01, ext: true, rtr: false, data: Buffer.from([ 0x00, 0x42, CMD_BOOTLOADER_START, 0x00, 0x1E, 0x95, 0x0F, 0x01 ]) };
+
+describe('trace', function () {
+
+  describe('candump log', function () {
+
+    it('formats and parses frames in the log format', function () {
+      const frames = [
+        BOOTLOADER_START,
+        { id: 0x123, ext: false, rtr: false, data: Buffer.from([ 0xDE, 0xAD ]) },
+        { id: 0x7FF, ext: false, rtr: true, data: Buffer.alloc(0) },
+      ];
+      const ts = 1697712345123.456;
+      for (const msg of frames) {
+        const line = formatCandumpLine(msg, 'vcan0', ts, 'R');
+        assert.deepStrictEqual(parseCandumpLine(line), { ts: ts, iface: 'vcan0', direction: 'R', msg: msg });
+      }
+      assert.strictEqual(formatCandumpLine(BOOTLOADER_START, 'can0', ts), '(1697712345.123456) can0 1FFFFF01#004202001E950F01');
+      assert.strictEqual(formatCandumpLine({ id: 0x7FF, ext: false, rtr: true, data: Buffer.alloc(0) }, 'can0', ts, 'T'), '(1697712345.123456) can0 7FF#R T');
+    });
+
+    it('parses the default output of candump', function () {
+      assert.deepStrictEqual(parseCandumpLine('  can0  1FFFFF01   [8]  00 42 02 00 1E 95 0F 01'), { ts: null, iface: 'can0', direction: null, msg: BOOTLOADER_START });
+      const entry = parseCandumpLine('(1697712345.5) can1  123   [0]  remote request');
+      assert.strictEqual(entry.ts, 1697712345500);
+      assert.strictEqual(entry.msg.rtr, true);
+      assert.strictEqual(entry.msg.ext, false);
+    });
+
+    it('does not parse other lines', function () {
+      assert.strictEqual(parseCandumpLine('some text'), null);
+      assert.strictEqual(parseCandumpLine('(1697712345.123456) can0 123#ABC'), null);
+    });
+  });
+
+  describe('decodeFrame', function () {
+
+    it('decodes the frames of a bootloader session', function () {
+      assert.deepStrictEqual(decodeFrame(BOOTLOADER_START), {
+        fromMcu: true,
+        mcuId: 0x42,
+        cmd: CMD_BOOTLOADER_START,
+        name: 'CMD_BOOTLOADER_START',
+        details: 'signature 0x1E 0x95 0x0F, version 0x01',
+      });
+      const data = { id: 0x1FFFFF02, ext: true, rtr: false, data: Buffer.from([ 0x00, 0x42, CMD_FLASH_DATA, (3 << 5) | 0x04, 0xAA, 0xBB, 0xCC, 0x00 ]) };
+      const decoded = decodeFrame(data);
+      assert.strictEqual(decoded.fromMcu, false);
+      assert.strictEqual(decoded.details, '3 bytes, address part 0x04, data AA BB CC');
+    });
+
+    it('uses the given CAN-IDs', function () {
+      const msg = Object.assign({}, BOOTLOADER_START, { id: 0x100 });
+      assert.strictEqual(decodeFrame(msg), null);
+      assert.strictEqual(decodeFrame(msg, { canIdMcu: 0x100, canIdRemote: 0x101 }).fromMcu, true);
+    });
+
+    it('ignores frames not belonging to a bootloader session', function () {
+      assert.strictEqual(decodeFrame({ id: 0x1FFFFF01, ext: true, rtr: false, data: Buffer.from([ 1, 2 ]) }), null);
+      assert.strictEqual(formatDecodedLine({ id: 0x123, ext: false, rtr: false, data: Buffer.from([ 1 ]) }, 1500, {}, 'R'), '    1.500000  RX  123#01 (no bootloader frame)');
+    });
+  });
+
+  describe('CanTrace', function () {
+
+    let tmpDir;
+
+    before(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-trace-'));
+    });
+
+    after(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('writes all frames of a session as candump log and decoded view', function () {
+      const file = path.join(tmpDir, 'session.log');
+      const trace = new CanTrace(file, { iface: 'vcan0', decodedFile: `${file}.txt` });
+      return runSession({ hex: createImage(40), trace: trace }).then((session) => {
+        trace.close();
+        assert.strictEqual(session.error, null);
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        assert.strictEqual(lines.length, trace.frames);
+        const entries = lines.map(parseCandumpLine);
+        assert.ok(entries.every((entry) => entry && entry.iface === 'vcan0' && decodeFrame(entry.msg)));
+        assert.strictEqual(decodeFrame(entries[0].msg).cmd, CMD_BOOTLOADER_START);
+        assert.strictEqual(entries[0].direction, 'R');
+        assert.ok(entries.some((entry) => entry.direction === 'T'));
+
+        const decoded = fs.readFileSync(`${file}.txt`, 'utf8').trimEnd().split('\n');
+        assert.strictEqual(decoded.length, lines.length);
+        assert.ok(decoded[0].trim().startsWith('0.000000  RX  0x0042 MCU ->   CMD_BOOTLOADER_START'), decoded[0]);
+
+        // the decode command shows the same view of the log
+        fs.appendFileSync(file, 'no frame\n');
+        const output = childProcess.execFileSync(process.execPath, [ CLI, 'decode', '-f', file, '-m', '0x42' ], { encoding: 'utf8' }).trimEnd().split('\n');
+        assert.deepStrictEqual(output.slice(0, -2), decoded);
+        assert.strictEqual(output[output.length - 1], `${lines.length} bootloader frames decoded, 0 frames skipped, 1 lines not parsed.`);
+      });
+    });
+
+    it('fails with an I/O error if the file cannot be opened', function () {
+      assert.throws(() => new CanTrace(path.join(tmpDir, 'missing', 'session.log')), (err) => {
+        assert.strictEqual(err.exitCode, EXIT_CODES.IO_ERROR);
+        assert.ok(err.message.startsWith('Failed to open trace file'));
+        return true;
+      });
+    });
+  });
+});
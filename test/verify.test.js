@@ -0,0 +1,121 @@
+/*
+ * MCP-CAN-Boot Flash-App
+ *
+ * Tests of comparing flash contents and of the verify command with a dump.
+ *
+ * Copyright (C) 2020-2024 Peter Müller <peter@crycode.de> (https://crycode.de)
+ * License: CC BY-NC-SA 4.0
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryMap = require('nrf-intel-hex');
+
+const { EXIT_CODES } = require('../lib/errors');
+const { addMismatch, compareMemMaps, formatVerifyRange } = require('../lib/verify');
+const { createImage } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'flash-app.js');
+
+describe('verify', function () {
+
+  describe('compareMemMaps', function () {
+
+    it('reports a matching dump', function () {
+      const report = compareMemMaps(createImage(100, 0x20), createImage(100, 0x20));
+      assert.deepStrictEqual(report, { ok: true, bytesChecked: 100, bytesMismatched: 0, ranges: [] });
+    });
+
+    it('merges adjacent mismatching bytes into ranges', function () {
+      const image = createImage(16);
+      const dump = createImage(16);
+      dump.get(0).set([ 0, 0 ], 2);
+      dump.get(0)[9] = 0;
+      const report = compareMemMaps(image, dump);
+      assert.strictEqual(report.ok, false);
+      assert.strictEqual(report.bytesMismatched, 3);
+      assert.deepStrictEqual(report.ranges, [
+        { start: 2, end: 3, expected: '1118', actual: '0000' },
+        { start: 9, end: 9, expected: '42', actual: '00' },
+      ]);
+    });
+
+    it('expects erased bytes at addresses missing in the dump', function () {
+      const image = new MemoryMap();
+      image.set(0x10, Uint8Array.from([ 0xFF, 0x01 ]));
+      const report = compareMemMaps(image, new MemoryMap());
+      assert.deepStrictEqual(report.ranges, [ { start: 0x11, end: 0x11, expected: '01', actual: 'FF' } ]);
+    });
+  });
+
+  describe('addMismatch', function () {
+
+    it('starts a new range after a gap', function () {
+      const mismatches = [];
+      addMismatch(mismatches, 4, 1, 2);
+      addMismatch(mismatches, 5, 3, 4);
+      addMismatch(mismatches, 7, 5, 6);
+      assert.deepStrictEqual(mismatches, [
+        { start: 4, end: 5, expected: [ 1, 3 ], actual: [ 2, 4 ] },
+        { start: 7, end: 7, expected: [ 5 ], actual: [ 6 ] },
+      ]);
+    });
+  });
+
+  describe('formatVerifyRange', function () {
+
+    it('prints the first bytes of a range', function () {
+      assert.strictEqual(formatVerifyRange({ start: 0x10, end: 0x11, expected: '0102', actual: 'FFFF' }), '0x0010-0x0011 expected 01 02, actual FF FF');
+      assert.strictEqual(formatVerifyRange({ start: 0, end: 9, expected: '00010203040506070809', actual: 'FFFFFFFFFFFFFFFFFFFF' }),
+        '0x0000-0x0009 expected 00 01 02 03 04 05 06 07 ..., actual FF FF FF FF FF FF FF FF ...');
+    });
+  });
+
+  describe('verify --dump', function () {
+
+    let tmpDir;
+
+    before(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-can-boot-verify-'));
+      fs.writeFileSync(path.join(tmpDir, 'image.hex'), ':0400000001020304F2\n:00000001FF\n');
+      fs.writeFileSync(path.join(tmpDir, 'same.bin'), Buffer.from([ 1, 2, 3, 4 ]));
+      fs.writeFileSync(path.join(tmpDir, 'other.hex'), ':0400000001020305F1\n:00000001FF\n');
+    });
+
+    after(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // run the verify command and get its exit code and output
+    const verify = (args) => childProcess.spawnSync(process.execPath, [ CLI, 'verify', '-f', 'image.hex' ].concat(args), { cwd: tmpDir, encoding: 'utf8' });
+
+    it('exits with 0 if the dump matches the image', function () {
+      const proc = verify([ '--dump', 'same.bin' ]);
+      assert.strictEqual(proc.status, 0, proc.stderr);
+      assert.strictEqual(proc.stdout, 'The dump same.bin matches the image (4 bytes).\n');
+    });
+
+    it('prints the mismatching ranges and exits with the verify failed exit code', function () {
+      const proc = verify([ '--dump', 'other.hex' ]);
+      assert.strictEqual(proc.status, EXIT_CODES.VERIFY_FAILED);
+      assert.ok(proc.stdout.includes('0x0003-0x0003 expected 04, actual 05'), proc.stdout);
+    });
+
+    it('prints JSON events and writes the report', function () {
+      const proc = verify([ '--dump', 'other.hex', '--json', '--report', 'report.json' ]);
+      assert.strictEqual(proc.status, EXIT_CODES.VERIFY_FAILED);
+      const events = proc.stdout.trim().split('\n').map((line) => JSON.parse(line));
+      assert.deepStrictEqual(events.map((e) => e.event), [ 'verify', 'log', 'error' ]);
+      assert.strictEqual(events[0].bytesMismatched, 1);
+      assert.strictEqual(events[2].exitCode, EXIT_CODES.VERIFY_FAILED);
+
+      const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'report.json'), 'utf8'));
+      assert.strictEqual(report.file, 'image.hex');
+      assert.strictEqual(report.dump, 'other.hex');
+      assert.deepStrictEqual(report.ranges, [ { start: 3, end: 3, expected: '04', actual: '05' } ]);
+    });
+  });
+});